@@ -2,33 +2,101 @@
 
 import { CanvasManager } from './canvas.js';
 import { Editor } from './editor.js';
-import { Grid } from './grid.js';
-import { Simulation } from './simulation.js';
+import { Grid, QUALITY_PRESETS, DEFAULT_QUALITY, gridLayout } from './grid.js';
+import { FlowSolver } from './solver.js';
 import { ParticleSystem } from './particles.js';
-import { Heatmap } from './heatmap.js';
-import { BaguaMap } from './bagua.js';
-import { FURNITURE_CATALOG } from './furniture.js';
+import { Heatmap, DifferenceHeatmap } from './heatmap.js';
+import { BaguaMap, mainDoor } from './bagua.js';
+import { getCatalog, getCustomFurniture, setCustomFurniture, getFurnitureByType } from './furniture.js';
+import { SECTORS, LO_SHU_LAYOUT, flyingStarChart, sectorOf, periodOf, normalizeBearing, renderNorthArrow } from './compass.js';
+import { analyzeCommanding, renderSightLines } from './commanding.js';
+import { buildContext, evaluateRules, renderIssueMarkers, SEVERITY_COLORS, MARKER_RADIUS } from './rules.js';
+import { kuaNumber, kuaGroup, directionsFor, checkFurniture, CHECKED_TYPES, BIRTH_YEARS } from './kua.js';
+import { ELEMENT_INFO, analyzeElements, describeConflict } from './elements.js';
+import { loadCustomCatalog, saveCustomCatalog, serializeCatalog, parseCatalog, mergeCatalog, normalizePiece } from './catalog.js';
 import { getTemplate } from './templates.js';
+import { serializeProject, parseProject, migrateProject, loadImage, dataURLToBlob } from './project.js';
+import { downloadBlob, downloadJSON, readFileAsText } from './files.js';
+import { renderComposite, canvasToBlob, buildPlanSVG, buildReportHTML } from './export.js';
+import { computeMetrics } from './metrics.js';
+import { TransientFlow, FILL_SHARE } from './transient.js';
+import { VariantSet } from './variants.js';
+import { ProjectStore, loadQuality, saveQuality, loadLiveMode, saveLiveMode } from './storage.js';
+import { gridStep, formatLength, parseLength, unitLabel, toWorld } from './units.js';
+import { buildShareURL, getSharedPlan, clearSharedPlan, decodeSharedPlan } from './share.js';
 
 // --- State ---
 const canvas = new CanvasManager(document.getElementById('main-canvas'));
 const editor = new Editor();
-const grid = new Grid(200, 200);
-const simulation = new Simulation(grid);
+const grid = new Grid(); // resized to each plan's shape when simulated
+const solver = new FlowSolver(grid);
+const compareSolver = new FlowSolver(new Grid()); // variant comparisons, apart from the plan's runs
 const particles = new ParticleSystem(grid);
 const heatmap = new Heatmap(grid);
+const transient = new TransientFlow(grid);
+const variants = new VariantSet();
 const bagua = new BaguaMap();
-
-let showParticles = true;
-let showHeatmap = false;
-let showBagua = false;
+const store = new ProjectStore();
+
+// Visualization layer toggles (saved with projects)
+const layers = {
+  particles: true,
+  heatmap: false,
+  bagua: false,
+  dimensions: false,
+  sightlines: false,
+  issues: true,
+  fill: false,
+};
 let simulationActive = false;
 let animFrameId = null;
 
+// Named local project currently open (null = unsaved plan)
+let currentProjectId = null;
+let currentProjectName = null;
+let autosaveTimer = null;
+let analysisTimer = null;
+
+// While "Restore last session" is offered the autosave slot keeps that
+// session; edits made meanwhile are saved once the offer is answered
+let restoreOffered = false;
+let autosaveDeferred = false;
+
+// Flow metrics of the last simulation, and the score of the run before it
+let metrics = null;
+let previousScore = null;
+
+// Rule engine results and the one focused from the issues panel
+let issues = [];
+let activeIssue = null;
+
+// Occupant whose favorable directions are drawn on the plan (null = none)
+let kuaOccupantId = null;
+
 // Cached room bounds and transform for visualization layers
-let roomBounds = null;
+let roomBounds = null; // area the last simulation's grid covers
+let quality = QUALITY_PRESETS[loadQuality()] ? loadQuality() : DEFAULT_QUALITY;
+
+// Live mode: edits re-run the simulation as they are made
+let liveMode = loadLiveMode();
+let liveTimer = null;
+let liveRunning = false; // the run in progress was started by an edit
+let liveQueued = false;  // edits arrived during it
 let vizTransform = null;
 
+// Chi fill playback: the whole run plays over FILL_PLAYBACK_MS from
+// fillStart (null shows the finished map)
+const FILL_PLAYBACK_MS = 8000;
+let fillStart = null;
+// Live runs leave the fill out, as it runs on this thread; it is worked out
+// once edits have paused this long
+const FILL_PAUSE_MS = 1000;
+let fillTimer = null;
+
+// Counts variant comparisons, so one that was replaced or cancelled drops
+// its result
+let compareRun = 0;
+
 // --- UI Setup ---
 
 function setupToolbar() {
@@ -103,30 +171,183 @@ function setupMobileToolbar() {
 }
 
 function setupFurnitureCatalog() {
+  setCustomFurniture(loadCustomCatalog());
+  renderFurnitureCatalog();
+
+  const form = document.getElementById('piece-form');
+  document.getElementById('btn-piece-new').addEventListener('click', () => openPieceForm());
+  document.getElementById('btn-piece-cancel').addEventListener('click', () => { form.hidden = true; });
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    savePieceForm();
+  });
+  for (const id of ['piece-resistance', 'piece-modifier']) {
+    document.getElementById(id).addEventListener('input', (e) => {
+      document.getElementById(`${id}-value`).textContent = Number(e.target.value).toFixed(2);
+    });
+  }
+
+  const input = document.getElementById('catalog-upload');
+  document.getElementById('btn-catalog-import').addEventListener('click', () => input.click());
+  input.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseCatalog(await readFileAsText(file));
+      storeCustomFurniture(mergeCatalog(getCustomFurniture(), imported));
+      setStatus(`Imported ${imported.length} piece${imported.length === 1 ? '' : 's'} from ${file.name}`);
+    } catch (err) {
+      setStatus(`Could not import ${file.name}: ${err.message}`);
+    }
+  });
+  document.getElementById('btn-catalog-export').addEventListener('click', () => {
+    const pieces = getCustomFurniture();
+    if (pieces.length === 0) {
+      setStatus('No custom pieces to export yet');
+      return;
+    }
+    downloadJSON(serializeCatalog(pieces), 'furniture-catalog.json');
+    setStatus(`Exported ${pieces.length} custom piece${pieces.length === 1 ? '' : 's'}`);
+  });
+}
+
+function renderFurnitureCatalog() {
   const container = document.getElementById('furniture-catalog');
-  for (const item of FURNITURE_CATALOG) {
+  container.innerHTML = '';
+  const custom = getCustomFurniture();
+  for (const item of getCatalog()) {
+    const isCustom = custom.includes(item);
+    if (item === custom[0]) {
+      const heading = document.createElement('div');
+      heading.className = 'panel-note furniture-heading';
+      heading.textContent = 'My pieces';
+      container.appendChild(heading);
+    }
+
     const el = document.createElement('div');
-    el.className = 'furniture-item';
+    el.className = 'furniture-item' + (item.type === editor.pendingFurnitureType ? ' selected' : '');
     el.dataset.type = item.type;
-    el.innerHTML = `<span class="furniture-swatch" style="background:${item.color}"></span>
-      <span>${item.label}</span>`;
     el.title = item.description;
+    const swatch = document.createElement('span');
+    swatch.className = 'furniture-swatch';
+    swatch.style.background = item.color;
+    const name = document.createElement('span');
+    name.className = 'furniture-name';
+    name.textContent = item.label;
+    el.append(swatch, name);
     el.addEventListener('click', () => {
       container.querySelectorAll('.furniture-item').forEach(e => e.classList.remove('selected'));
       el.classList.add('selected');
       editor.pendingFurnitureType = item.type;
     });
+
+    if (isCustom) {
+      const actions = [
+        ['\u270E', 'Edit', () => openPieceForm(item)],
+        ['\u2715', 'Delete', () => deleteCustomPiece(item)],
+      ];
+      for (const [icon, label, handler] of actions) {
+        const btn = document.createElement('button');
+        btn.className = 'project-action';
+        btn.textContent = icon;
+        btn.title = label;
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          handler();
+        });
+        el.appendChild(btn);
+      }
+    }
     container.appendChild(el);
   }
 }
 
+// Keep the custom pieces in memory even if they can't be stored
+function storeCustomFurniture(pieces) {
+  setCustomFurniture(pieces);
+  renderFurnitureCatalog();
+  try {
+    saveCustomCatalog(pieces);
+  } catch (err) {
+    setStatus(`Could not store your catalog: ${err.message}`);
+  }
+}
+
+// Show the piece editor, filled in from `piece` or with defaults for a new one
+function openPieceForm(piece = null) {
+  const form = document.getElementById('piece-form');
+  form.dataset.type = piece ? piece.type : '';
+  const length = (meters) => formatLength(toWorld(meters, editor.units), editor.units);
+  const values = {
+    'piece-name': piece ? piece.label : '',
+    'piece-width': length(piece ? piece.dimensions.width : 1),
+    'piece-depth': length(piece ? piece.dimensions.depth : 1),
+    'piece-shape': piece?.shape || 'rect',
+    'piece-element': piece?.element || '',
+    'piece-color': piece ? piece.color : '#888888',
+    'piece-resistance': piece ? piece.flowResistance : 0.5,
+    'piece-modifier': piece ? piece.flowModifier : 0,
+    'piece-description': piece ? piece.description : '',
+  };
+  for (const [id, value] of Object.entries(values)) {
+    document.getElementById(id).value = value;
+  }
+  document.getElementById('piece-poison').checked = !!piece?.poisonArrow;
+  for (const id of ['piece-resistance', 'piece-modifier']) {
+    document.getElementById(`${id}-value`).textContent = Number(values[id]).toFixed(2);
+  }
+  form.hidden = false;
+  document.getElementById('piece-name').focus();
+}
+
+function savePieceForm() {
+  const form = document.getElementById('piece-form');
+  const field = (id) => document.getElementById(id).value;
+  const width = parseLength(field('piece-width'), editor.units.system);
+  const depth = parseLength(field('piece-depth'), editor.units.system);
+  if (!(width > 0) || !(depth > 0)) {
+    setStatus('Width and depth must be lengths, e.g. 1.2 m or 4\'');
+    return;
+  }
+  let piece;
+  try {
+    piece = normalizePiece({
+      type: form.dataset.type || undefined,
+      label: field('piece-name'),
+      dimensions: { width, depth },
+      shape: field('piece-shape'),
+      element: field('piece-element'),
+      color: field('piece-color'),
+      flowResistance: field('piece-resistance'),
+      flowModifier: field('piece-modifier'),
+      poisonArrow: document.getElementById('piece-poison').checked,
+      description: field('piece-description'),
+    });
+  } catch (err) {
+    setStatus(`Could not save piece: ${err.message}`);
+    return;
+  }
+  // Editing replaces the piece in place; pieces already placed keep their old values
+  storeCustomFurniture(mergeCatalog(getCustomFurniture(), [piece]));
+  form.hidden = true;
+  setStatus(`Saved "${piece.label}" to your catalog`);
+}
+
+function deleteCustomPiece(piece) {
+  if (!confirm(`Remove "${piece.label}" from your catalog? Pieces already in plans stay.`)) return;
+  if (editor.pendingFurnitureType === piece.type) editor.pendingFurnitureType = null;
+  storeCustomFurniture(getCustomFurniture().filter(p => p !== piece));
+  setStatus(`Removed "${piece.label}"`);
+}
+
 function setupTemplates() {
   document.querySelectorAll('.template-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const template = getTemplate(btn.dataset.template);
       if (template) {
         editor.loadTemplate(template);
-        simulationActive = false;
+        stopSimulation();
         particles.reset();
         // Center view on the template
         const bounds = editor.getRoomBounds();
@@ -145,7 +366,7 @@ function setupImageUpload() {
     if (!file) return;
     const img = new Image();
     img.onload = () => {
-      editor.setBackgroundImage(img);
+      editor.setBackgroundImage(img, file);
       setStatus('Background image loaded — trace walls on top');
     };
     img.src = URL.createObjectURL(file);
@@ -153,44 +374,134 @@ function setupImageUpload() {
 }
 
 function setupHeaderButtons() {
-  document.getElementById('btn-simulate').addEventListener('click', runSimulation);
+  const qualitySelect = document.getElementById('sim-quality');
+  for (const [key, preset] of Object.entries(QUALITY_PRESETS)) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = preset.name;
+    option.selected = key === quality;
+    qualitySelect.appendChild(option);
+  }
+  qualitySelect.addEventListener('change', () => {
+    quality = qualitySelect.value;
+    saveQuality(quality);
+    if (simulationActive || solver.running) runSimulation();
+  });
+
+  const liveToggle = document.getElementById('toggle-live');
+  liveToggle.checked = liveMode;
+  liveToggle.addEventListener('change', () => {
+    liveMode = liveToggle.checked;
+    saveLiveMode(liveMode);
+    if (liveMode) scheduleLive();
+  });
+
+  // Live runs are quick and keep the button as it is; clicking it then
+  // starts a full run rather than cancelling
+  document.getElementById('btn-simulate').addEventListener('click', () => {
+    if (solver.running && !liveRunning) cancelSimulation();
+    else runSimulation();
+  });
   document.getElementById('btn-clear').addEventListener('click', () => {
     editor.clearAll();
-    simulationActive = false;
+    stopSimulation();
     particles.reset();
     setStatus('Cleared');
   });
   document.getElementById('btn-undo').addEventListener('click', () => {
     if (editor.undo()) {
-      simulationActive = false;
+      stopSimulation();
       setStatus('Undone');
     }
   });
   document.getElementById('btn-redo').addEventListener('click', () => {
     if (editor.redo()) {
-      simulationActive = false;
+      stopSimulation();
       setStatus('Redone');
     }
   });
 
   // Viz toggles — sync header and mobile sidebar versions
-  function syncToggle(headerId, mobileId, setter) {
-    const header = document.getElementById(headerId);
-    const mobile = document.getElementById(mobileId);
-    header.addEventListener('change', (e) => {
-      setter(e.target.checked);
-      if (mobile) mobile.checked = e.target.checked;
-    });
-    if (mobile) {
-      mobile.addEventListener('change', (e) => {
-        setter(e.target.checked);
-        header.checked = e.target.checked;
+  for (const name of Object.keys(layers)) {
+    for (const id of [`toggle-${name}`, `toggle-${name}-mobile`]) {
+      document.getElementById(id)?.addEventListener('change', (e) => {
+        setLayer(name, e.target.checked);
       });
     }
   }
-  syncToggle('toggle-particles', 'toggle-particles-mobile', (v) => { showParticles = v; });
-  syncToggle('toggle-heatmap', 'toggle-heatmap-mobile', (v) => { showHeatmap = v; });
-  syncToggle('toggle-bagua', 'toggle-bagua-mobile', (v) => { showBagua = v; });
+}
+
+function setLayer(name, visible) {
+  const shown = visible && !layers[name];
+  layers[name] = visible;
+  for (const id of [`toggle-${name}`, `toggle-${name}-mobile`]) {
+    const el = document.getElementById(id);
+    if (el) el.checked = visible;
+  }
+  // The fill plays from the start each time it's turned on
+  if (name === 'fill' && shown && simulationActive) {
+    setStatus(`Playing chi fill — ${describeFill(runFill(true))}`);
+  }
+}
+
+// --- Project files ---
+
+function setupProjectFiles() {
+  const input = document.getElementById('project-upload');
+  document.getElementById('btn-open').addEventListener('click', () => input.click());
+  document.getElementById('btn-save').addEventListener('click', saveProject);
+
+  input.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow re-opening the same file
+    if (!file) return;
+    try {
+      const project = parseProject(await readFileAsText(file));
+      await openProject(project);
+      setStatus(`Opened ${file.name}`);
+    } catch (err) {
+      setStatus(`Could not open ${file.name}: ${err.message}`);
+    }
+  });
+}
+
+function saveProject() {
+  const project = serializeProject({ editor, canvas, layers, variants });
+  downloadJSON(project, 'floor-plan.fengshui.json');
+  setStatus('Project saved');
+}
+
+async function openProject(project, backgroundBlob = null) {
+  const { scene, view } = project;
+  const background = scene.background ? await loadImage(scene.background.src) : null;
+  if (background && !backgroundBlob && scene.background.src.startsWith('data:')) {
+    backgroundBlob = dataURLToBlob(scene.background.src);
+  }
+
+  editor.loadScene(scene);
+  editor.setBackgroundImage(background, backgroundBlob);
+  variants.load(project.variants);
+  syncVariants();
+  if (scene.background) editor.backgroundOpacity = scene.background.opacity ?? 0.3;
+
+  if (project.layers) {
+    for (const name of Object.keys(layers)) {
+      if (name in project.layers) setLayer(name, !!project.layers[name]);
+    }
+  }
+
+  if (view) {
+    canvas.panX = view.panX;
+    canvas.panY = view.panY;
+    canvas.zoom = Math.max(canvas.minZoom, Math.min(canvas.maxZoom, view.zoom));
+  } else {
+    const bounds = editor.getRoomBounds();
+    canvas.centerOn(bounds.x, bounds.y, bounds.width, bounds.height);
+  }
+
+  stopSimulation();
+  roomBounds = null;
+  particles.reset();
 }
 
 function setupCanvasEvents() {
@@ -217,9 +528,16 @@ function setupCanvasEvents() {
 
     if (e.button !== 0) return;
 
+    const marker = layers.issues && editor.currentTool === 'select' ? issueAt(sx, sy) : null;
+    if (marker) {
+      focusIssue(marker);
+      return;
+    }
+
     const world = canvas.screenToWorld(sx, sy);
     const snapped = canvas.snapToGrid(world.x, world.y);
-    editor.handleMouseDown(world.x, world.y, snapped.x, snapped.y);
+    handleEditorResult(editor.handleMouseDown(world.x, world.y, snapped.x, snapped.y, { shift: e.shiftKey }));
+    syncInspector();
   });
 
   el.addEventListener('mousemove', (e) => {
@@ -241,11 +559,12 @@ function setupCanvasEvents() {
     editor.setPreviewPosition(snapped.x, snapped.y);
 
     // Handle drag
-    editor.handleMouseMove(world.x, world.y);
+    if (editor.handleMouseMove(world.x, world.y, snapped.x, snapped.y, { shift: e.shiftKey }) && editor.drag?.saved) {
+      scheduleLive();
+    }
 
     // Update status bar coords
-    document.getElementById('status-coords').textContent =
-      `${Math.round(world.x)}, ${Math.round(world.y)}`;
+    showCoords(world);
   });
 
   el.addEventListener('mouseup', (e) => {
@@ -259,8 +578,13 @@ function setupCanvasEvents() {
     editor.handleMouseUp();
   });
 
-  el.addEventListener('dblclick', () => {
-    editor.handleDoubleClick();
+  el.addEventListener('dblclick', (e) => {
+    const rect = el.getBoundingClientRect();
+    const world = canvas.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+    const snapped = canvas.snapToGrid(world.x, world.y);
+    if (editor.handleDoubleClick(world.x, world.y, snapped.x, snapped.y) && editor.currentTool === 'select') {
+      setStatus('Wall split — drag the new joint to reshape');
+    }
   });
 
   // Right click to cancel
@@ -380,10 +704,11 @@ function setupCanvasEvents() {
       const world = canvas.screenToWorld(pos.x, pos.y);
       const snapped = canvas.snapToGrid(world.x, world.y);
       editor.setPreviewPosition(snapped.x, snapped.y);
-      editor.handleMouseMove(world.x, world.y);
+      if (editor.handleMouseMove(world.x, world.y, snapped.x, snapped.y) && editor.drag?.saved) {
+        scheduleLive();
+      }
 
-      document.getElementById('status-coords').textContent =
-        `${Math.round(world.x)}, ${Math.round(world.y)}`;
+      showCoords(world);
     }
 
     touchState.lastX = pos.x;
@@ -407,8 +732,9 @@ function setupCanvasEvents() {
       const pos = { x: touchState.startX, y: touchState.startY };
       const world = canvas.screenToWorld(pos.x, pos.y);
       const snapped = canvas.snapToGrid(world.x, world.y);
-      editor.handleMouseDown(world.x, world.y, snapped.x, snapped.y);
+      handleEditorResult(editor.handleMouseDown(world.x, world.y, snapped.x, snapped.y));
       editor.handleMouseUp();
+      syncInspector();
     } else {
       editor.handleMouseUp();
     }
@@ -420,6 +746,7 @@ function setupCanvasEvents() {
 
   // Keyboard
   document.addEventListener('keydown', (e) => {
+    if (isEditable(e.target)) return;
     if (e.code === 'Space') {
       spaceDown = true;
       e.preventDefault();
@@ -427,32 +754,84 @@ function setupCanvasEvents() {
 
     // Tool shortcuts
     if (!e.ctrlKey && !e.metaKey) {
-      const toolMap = { v: 'select', w: 'wall', d: 'door', n: 'window', f: 'furniture', m: 'move', e: 'erase' };
+      const toolMap = { v: 'select', w: 'wall', d: 'door', n: 'window', f: 'furniture', m: 'move', e: 'erase', c: 'calibrate' };
       if (toolMap[e.key]) {
         document.querySelector(`[data-tool="${toolMap[e.key]}"]`)?.click();
         return;
       }
     }
 
-    // Undo/Redo
-    if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
-      e.preventDefault();
-      if (e.shiftKey) {
-        editor.redo();
-      } else {
-        editor.undo();
+    // Ctrl/Cmd shortcuts. The browser keeps its own action for any combination
+    // not listed here, and for copy, paste and the like when there was
+    // nothing for them to act on.
+    if (e.ctrlKey || e.metaKey) {
+      const key = e.key.toLowerCase();
+      const handled = (msg) => {
+        e.preventDefault();
+        if (msg) setStatus(msg);
+        syncInspector();
+      };
+      const plural = (n) => `${n} item${n === 1 ? '' : 's'}`;
+
+      // Save/Open project
+      if (key === 's') {
+        e.preventDefault();
+        saveProject();
+        return;
+      }
+      if (key === 'o') {
+        e.preventDefault();
+        document.getElementById('project-upload').click();
+        return;
+      }
+
+      // Clipboard, duplicate, grouping
+      if (key === 'c') {
+        const n = editor.copySelection();
+        if (n) handled(`Copied ${plural(n)}`);
+        return;
+      }
+      if (key === 'v') {
+        const n = editor.paste();
+        if (n) handled(`Pasted ${plural(n)}`);
+        return;
+      }
+      if (key === 'd') {
+        const n = editor.duplicateSelection();
+        if (n) handled(`Duplicated ${plural(n)}`);
+        return;
+      }
+      if (key === 'a') {
+        editor.selectAll();
+        return handled(null);
+      }
+      if (key === 'g') {
+        if (e.shiftKey) {
+          if (editor.ungroupSelection()) handled('Ungrouped');
+        } else if (editor.groupSelection()) {
+          handled('Grouped — the pieces now select and move together');
+        } else {
+          setStatus('Select two or more furniture pieces to group');
+        }
+        return;
+      }
+
+      // Undo/Redo
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        if (key === 'z' && !e.shiftKey) {
+          editor.undo();
+        } else {
+          editor.redo();
+        }
+        stopSimulation();
+        return;
       }
-      simulationActive = false;
-      return;
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
-      e.preventDefault();
-      editor.redo();
-      simulationActive = false;
       return;
     }
 
     editor.handleKeyDown(e.key);
+    syncInspector();
   });
 
   document.addEventListener('keyup', (e) => {
@@ -460,40 +839,1264 @@ function setupCanvasEvents() {
   });
 }
 
+// Keys typed into form fields shouldn't trigger editor shortcuts
+function isEditable(el) {
+  return el instanceof HTMLElement &&
+    (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+}
+
+// --- Export ---
+
+function setupExport() {
+  const exportState = () => ({
+    editor, grid, heatmap, transient, particles, bagua, roomBounds, layers, simulationActive,
+  });
+  const baseName = () => (currentProjectName || 'floor-plan').replace(/[^\w-]+/g, '-');
+
+  document.getElementById('btn-export-png').addEventListener('click', async () => {
+    try {
+      const blob = await canvasToBlob(renderComposite(exportState()));
+      downloadBlob(blob, `${baseName()}.png`);
+      setStatus('PNG exported');
+    } catch (err) {
+      setStatus(`Export failed: ${err.message}`);
+    }
+  });
+
+  document.getElementById('btn-export-svg').addEventListener('click', () => {
+    const svg = buildPlanSVG(editor, { showDimensions: layers.dimensions });
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${baseName()}.svg`);
+    setStatus('SVG exported');
+  });
+
+  document.getElementById('btn-export-report').addEventListener('click', () => {
+    const html = buildReportHTML({
+      title: currentProjectName || 'Feng Shui Flow Report',
+      imageURL: renderComposite(exportState(), 1800).toDataURL('image/png'),
+      editor,
+      flow: simulationActive ? metrics : null,
+      issues,
+    });
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    if (!window.open(url, '_blank')) {
+      setStatus('Allow pop-ups to open the report');
+    }
+  });
+}
+
+// --- Share links ---
+
+function setupShareLinks() {
+  document.getElementById('btn-share').addEventListener('click', async () => {
+    if (editor.walls.length === 0 && editor.doors.length === 0) {
+      setStatus('Nothing to share yet — draw a plan first');
+      return;
+    }
+    try {
+      const url = await buildShareURL(editor);
+      try {
+        await navigator.clipboard.writeText(url);
+        setStatus(`Share link copied (${url.length} characters)`);
+      } catch (err) {
+        // Clipboard blocked (e.g. insecure context) — let the user copy it
+        prompt('Copy this link to share the plan:', url);
+      }
+    } catch (err) {
+      setStatus(`Could not create link: ${err.message}`);
+    }
+  });
+
+  window.addEventListener('hashchange', () => {
+    if (getSharedPlan()) openSharedPlan();
+  });
+}
+
+// Open the plan encoded in the URL hash and simulate it right away.
+// Resolves to false when the URL carries no plan.
+async function openSharedPlan() {
+  const encoded = getSharedPlan();
+  if (!encoded) return false;
+  clearSharedPlan(); // so a reload doesn't discard later edits
+  try {
+    const project = await decodeSharedPlan(encoded);
+    await openProject(project);
+    await setCurrentProject(null);
+    setStatus('Opened shared plan — running simulation...');
+    setTimeout(() => runSimulation(), 100);
+  } catch (err) {
+    setStatus(`Could not open shared plan: ${err.message}`);
+  }
+  return true;
+}
+
+// --- Autosave & local projects ---
+
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(autosave, 1000);
+}
+
+function autosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  const project = serializeProject({ editor, canvas, layers, variants, includeBackground: false });
+  const blob = editor.backgroundBlob;
+
+  if (restoreOffered) {
+    autosaveDeferred = true;
+  } else {
+    try {
+      store.saveAutosave(project, blob, currentProjectId).catch(() => {
+        // Image store unavailable — the plan itself is still in localStorage
+      });
+    } catch (err) {
+      setStatus(`Autosave failed: ${err.message}`);
+    }
+  }
+  if (currentProjectId) {
+    store.save(currentProjectId, project, blob).catch((err) => {
+      setStatus(`Autosave failed: ${err.message}`);
+    });
+  }
+}
+
+function setupAutosave() {
+  editor.onChange = () => {
+    scheduleAutosave();
+    syncUnitsPanel(); // undo/redo and opening plans can change the scale
+    syncInspector();
+    scheduleAnalysis();
+    scheduleLive();
+  };
+  // Flush pending changes when the tab is hidden or closed
+  const flush = () => {
+    if (autosaveTimer) autosave();
+  };
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+}
+
+function offerRestore() {
+  const entry = store.peekAutosave();
+  const scene = entry?.project?.scene;
+  if (!scene || (scene.walls.length === 0 && scene.doors.length === 0 &&
+      scene.windows.length === 0 && scene.furniture.length === 0)) {
+    return;
+  }
+
+  const banner = document.getElementById('restore-banner');
+  const when = new Date(entry.savedAt).toLocaleString();
+  document.getElementById('restore-msg').textContent = `Restore last session from ${when}?`;
+  banner.hidden = false;
+  restoreOffered = true;
+
+  document.getElementById('btn-restore').onclick = async () => {
+    hideRestoreBanner();
+    // The restored session replaces edits made while it was offered
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    autosaveDeferred = false;
+    try {
+      const saved = await store.loadAutosave();
+      // Stored projects may predate the current version, like files
+      await openProject(migrateProject(saved.project), saved.backgroundBlob);
+      await setCurrentProject(saved.projectId);
+      setStatus('Last session restored');
+    } catch (err) {
+      setStatus(`Could not restore session: ${err.message}`);
+    }
+  };
+  document.getElementById('btn-restore-dismiss').onclick = () => {
+    hideRestoreBanner();
+    if (autosaveDeferred) autosave();
+  };
+}
+
+function hideRestoreBanner() {
+  document.getElementById('restore-banner').hidden = true;
+  restoreOffered = false;
+}
+
+async function setCurrentProject(id) {
+  let name = null;
+  if (id) {
+    try {
+      name = await store.getName(id);
+    } catch (err) {
+      id = null; // deleted since the session was saved
+    }
+  }
+  currentProjectId = id;
+  currentProjectName = name;
+  document.getElementById('project-current').textContent = name || 'Unsaved plan';
+  renderProjectList();
+}
+
+function setupProjects() {
+  document.getElementById('btn-project-new').addEventListener('click', async () => {
+    const name = prompt('Name for the new project:', 'Untitled plan');
+    if (!name) return;
+    try {
+      editor.clearAll();
+      stopSimulation();
+      particles.reset();
+      variants.reset();
+      syncVariants();
+      const project = serializeProject({ editor, canvas, layers, variants, includeBackground: false });
+      await setCurrentProject(await store.create(name, project));
+      setStatus(`Created project "${name}"`);
+    } catch (err) {
+      setStatus(`Could not create project: ${err.message}`);
+    }
+  });
+
+  document.getElementById('btn-project-save-as').addEventListener('click', async () => {
+    const name = prompt('Save the current plan as:', 'My plan');
+    if (!name) return;
+    try {
+      const project = serializeProject({ editor, canvas, layers, variants, includeBackground: false });
+      await setCurrentProject(await store.create(name, project, editor.backgroundBlob));
+      setStatus(`Saved as "${name}"`);
+    } catch (err) {
+      setStatus(`Could not save project: ${err.message}`);
+    }
+  });
+
+  renderProjectList();
+}
+
+async function renderProjectList() {
+  const list = document.getElementById('project-list');
+  let projects;
+  try {
+    projects = await store.list();
+  } catch (err) {
+    list.innerHTML = '<li class="project-empty">Local storage unavailable</li>';
+    return;
+  }
+
+  list.innerHTML = '';
+  if (projects.length === 0) {
+    list.innerHTML = '<li class="project-empty">No saved projects</li>';
+    return;
+  }
+
+  for (const p of projects) {
+    const li = document.createElement('li');
+    li.className = 'project-entry' + (p.id === currentProjectId ? ' current' : '');
+    li.title = `Last changed ${new Date(p.updatedAt).toLocaleString()}`;
+
+    const name = document.createElement('span');
+    name.className = 'project-name';
+    name.textContent = p.name;
+    name.addEventListener('click', () => openStoredProject(p.id));
+    li.appendChild(name);
+
+    const actions = [
+      ['\u270E', 'Rename', () => renameStoredProject(p)],
+      ['\u29C9', 'Duplicate', () => duplicateStoredProject(p)],
+      ['\u2715', 'Delete', () => deleteStoredProject(p)],
+    ];
+    for (const [icon, label, handler] of actions) {
+      const btn = document.createElement('button');
+      btn.className = 'project-action';
+      btn.textContent = icon;
+      btn.title = label;
+      btn.addEventListener('click', handler);
+      li.appendChild(btn);
+    }
+    list.appendChild(li);
+  }
+}
+
+async function openStoredProject(id) {
+  try {
+    if (autosaveTimer) autosave();
+    const { name, project, backgroundBlob } = await store.load(id);
+    await openProject(migrateProject(project), backgroundBlob);
+    await setCurrentProject(id);
+    setStatus(`Opened "${name}"`);
+  } catch (err) {
+    setStatus(`Could not open project: ${err.message}`);
+  }
+}
+
+async function renameStoredProject(p) {
+  const name = prompt('Rename project:', p.name);
+  if (!name || name === p.name) return;
+  try {
+    await store.rename(p.id, name);
+    await setCurrentProject(currentProjectId);
+  } catch (err) {
+    setStatus(`Could not rename project: ${err.message}`);
+  }
+}
+
+async function duplicateStoredProject(p) {
+  try {
+    await store.duplicate(p.id, `${p.name} copy`);
+    renderProjectList();
+  } catch (err) {
+    setStatus(`Could not duplicate project: ${err.message}`);
+  }
+}
+
+async function deleteStoredProject(p) {
+  if (!confirm(`Delete "${p.name}"? This cannot be undone.`)) return;
+  try {
+    await store.remove(p.id);
+    await setCurrentProject(p.id === currentProjectId ? null : currentProjectId);
+  } catch (err) {
+    setStatus(`Could not delete project: ${err.message}`);
+  }
+}
+
+// Follow-up UI for editor actions that need more input
+function handleEditorResult(result) {
+  if (result?.action === 'selected' && result.item.type === 'wall') {
+    setStatus('Drag the ends to reshape · double-click to split · J to merge');
+  } else if (result?.action === 'selected' && result.item.type === 'furniture') {
+    setStatus('Drag the round handle to rotate (Shift for free angles), square handles to resize · R turns 90°');
+  } else if (result?.action === 'selected' && (result.item.type === 'door' || result.item.type === 'window')) {
+    setStatus(`Drag the ${result.item.type} to slide it along its wall`);
+  } else if (result?.action === 'no_wall') {
+    setStatus(`Click on a wall to place a ${editor.currentTool}`);
+  } else if (result?.action === 'calibrate_point') {
+    setStatus('Click the other end of a line with a known length');
+  } else if (result?.action === 'calibrate_line') {
+    const system = editor.units.system;
+    const example = system === 'imperial' ? `11' 6"` : '3.5 m';
+    const answer = prompt(`Real length of this line (e.g. ${example}):`);
+    if (answer === null) return;
+    const meters = parseLength(answer, system);
+    if (editor.calibrate(result.length, meters)) {
+      syncUnitsPanel();
+      setStatus(`Scale set: ${formatLength(result.length, editor.units)} = ${Math.round(result.length)} units`);
+    } else {
+      setStatus(`Couldn't read "${answer}" as a length`);
+    }
+  }
+}
+
+// --- Selection inspector ---
+
+function setupInspector() {
+  const selectedOpening = () => {
+    const sel = editor.selectedItem;
+    if (!sel || (sel.type !== 'door' && sel.type !== 'window')) return null;
+    return { ...sel, opening: editor.openingsOf(sel.type)[sel.index] };
+  };
+  const readLength = (input) => {
+    const meters = parseLength(input.value, editor.units.system);
+    if (meters > 0) return toWorld(meters, editor.units);
+    setStatus(`Couldn't read "${input.value}" as a length`);
+    return null;
+  };
+
+  document.getElementById('inspector-width').addEventListener('change', (e) => {
+    const sel = selectedOpening();
+    const width = sel && readLength(e.target);
+    if (width) editor.updateOpening(sel.type, sel.index, { width });
+    syncInspector();
+  });
+  document.getElementById('btn-flip-hinge').addEventListener('click', () => {
+    const sel = selectedOpening();
+    if (!sel) return;
+    editor.updateOpening(sel.type, sel.index, { hinge: sel.opening.hinge === 'end' ? 'start' : 'end' });
+  });
+  document.getElementById('inspector-main').addEventListener('change', (e) => {
+    const sel = selectedOpening();
+    if (sel?.type !== 'door') return;
+    editor.setMainDoor(e.target.checked ? sel.index : null);
+    setStatus(e.target.checked ? 'Bagua map now lines up with this door' : 'Bagua map lines up with the first door');
+  });
+  document.getElementById('btn-flip-swing').addEventListener('click', () => {
+    const sel = selectedOpening();
+    if (!sel) return;
+    editor.updateOpening(sel.type, sel.index, { swing: sel.opening.swing === 'left' ? 'right' : 'left' });
+  });
+
+  // Furniture fields: read(input) returns the properties to set, or null
+  const bindFurniture = (id, read) => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      const sel = editor.selectedItem;
+      if (sel?.type !== 'furniture') return;
+      const props = read(e.target);
+      if (props) editor.updateFurniture(sel.index, props);
+      syncInspector();
+    });
+  };
+  bindFurniture('furn-label', (el) => el.value.trim() ? { label: el.value.trim() } : null);
+  bindFurniture('furn-width', (el) => {
+    const width = readLength(el);
+    return width && { width };
+  });
+  bindFurniture('furn-depth', (el) => {
+    const height = readLength(el);
+    return height && { height };
+  });
+  bindFurniture('furn-shape', (el) => ({ shape: el.value }));
+  bindFurniture('furn-color', (el) => ({ color: el.value }));
+  bindFurniture('furn-element', (el) => ({ element: el.value || null }));
+  bindFurniture('furn-color-element', (el) => ({ colorElement: el.value || null }));
+  bindFurniture('furn-material-element', (el) => ({ materialElement: el.value || null }));
+  bindFurniture('furn-resistance', (el) => ({ flowResistance: Number(el.value) }));
+  bindFurniture('furn-modifier', (el) => ({ flowModifier: Number(el.value) }));
+  bindFurniture('furn-poison', (el) => ({ poisonArrow: el.checked }));
+
+  // Show slider values while dragging
+  for (const id of ['furn-resistance', 'furn-modifier']) {
+    document.getElementById(id).addEventListener('input', (e) => {
+      document.getElementById(`${id}-value`).textContent = Number(e.target.value).toFixed(2);
+    });
+  }
+}
+
+// Show the properties of the selected door, window or furniture piece
+function syncInspector() {
+  const sel = editor.selectedItem;
+  const isOpening = sel && (sel.type === 'door' || sel.type === 'window');
+  const opening = isOpening ? editor.openingsOf(sel.type)[sel.index] : null;
+  const item = sel?.type === 'furniture' ? editor.furniture[sel.index] : null;
+  document.getElementById('inspector-panel').style.display = opening || item ? 'block' : 'none';
+  document.getElementById('inspector-opening').style.display = opening ? 'block' : 'none';
+  document.getElementById('inspector-furniture').style.display = item ? 'block' : 'none';
+
+  // Don't overwrite a field while it is being edited
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (document.activeElement !== el) el.value = value;
+    return el;
+  };
+
+  if (opening) {
+    const wall = editor.walls.find(w => w.id === opening.wallId);
+    const kind = sel.type === 'door' ? 'Door' : 'Window';
+    // Free-standing openings come from plans drawn before openings had walls
+    document.getElementById('inspector-title').textContent = wall ? kind : `${kind} (not on a wall)`;
+    const input = setValue('inspector-width', formatLength(Math.hypot(opening.x2 - opening.x1, opening.y2 - opening.y1), editor.units));
+    input.disabled = !wall;
+    document.getElementById('inspector-door').style.display = sel.type === 'door' && wall ? 'flex' : 'none';
+    document.getElementById('inspector-main-row').style.display = sel.type === 'door' ? 'flex' : 'none';
+    document.getElementById('inspector-main').checked = sel.type === 'door' && mainDoor(editor.doors) === opening;
+  }
+
+  if (item) {
+    const template = getFurnitureByType(item.type);
+    document.getElementById('inspector-title').textContent = template ? template.label : item.type;
+    setValue('furn-label', item.label || '');
+    // Only pieces that came with an outline can use it
+    document.querySelector('#furn-shape option[value="polygon"]').disabled = !item.points;
+    setValue('furn-shape', item.shape || 'rect');
+    setValue('furn-width', formatLength(item.width, editor.units));
+    setValue('furn-depth', formatLength(item.height, editor.units));
+    setValue('furn-color', item.color || '#666666');
+    setValue('furn-element', item.element || '');
+    setValue('furn-color-element', item.colorElement || '');
+    setValue('furn-material-element', item.materialElement || '');
+    const resistance = item.flowResistance ?? 0.8;
+    const modifier = item.flowModifier ?? 0;
+    setValue('furn-resistance', resistance);
+    setValue('furn-modifier', modifier);
+    document.getElementById('furn-resistance-value').textContent = resistance.toFixed(2);
+    document.getElementById('furn-modifier-value').textContent = modifier.toFixed(2);
+    document.getElementById('furn-poison').checked = !!item.poisonArrow;
+  }
+}
+
+// Change notifications arrive before the edit is made, so wait a moment
+// before refreshing the analysis panels
+function scheduleAnalysis() {
+  clearTimeout(analysisTimer);
+  analysisTimer = setTimeout(() => {
+    syncElements();
+    syncCommanding();
+    syncIssues();
+    syncMetrics();
+    syncCompass();
+    syncOccupants();
+  }, 200);
+}
+
+// --- Five elements ---
+
+// Element balance of each bagua zone that has furniture or needs attention
+function syncElements() {
+  const summary = document.getElementById('elements-summary');
+  const list = document.getElementById('element-zones');
+  list.innerHTML = '';
+  if (editor.walls.length === 0 || editor.furniture.length === 0) {
+    summary.textContent = 'Add walls and furniture to see each bagua zone\'s element balance.';
+    return;
+  }
+
+  bagua.update(editor.walls, editor.doors, editor.revision);
+  const results = analyzeElements(editor.furniture, bagua.zones, (x, y) => bagua.zoneAt(x, y), getCatalog());
+  const conflicts = results.reduce((sum, r) => sum + r.conflicts.length, 0);
+  summary.textContent = conflicts === 0
+    ? 'No element conflicts'
+    : `${conflicts} element conflict${conflicts === 1 ? '' : 's'}`;
+
+  for (const r of results) {
+    if (r.total === 0 && r.suggestions.length === 0) continue;
+    const info = ELEMENT_INFO[r.element];
+    const li = document.createElement('li');
+    li.className = 'element-zone';
+
+    const title = document.createElement('div');
+    title.className = 'element-zone-title';
+    title.textContent = r.zone.name;
+    const tag = document.createElement('span');
+    tag.className = 'element-tag';
+    tag.style.color = info.color;
+    tag.textContent = info.label;
+    title.appendChild(tag);
+    li.appendChild(title);
+
+    // Share of each element in the zone
+    const bar = document.createElement('div');
+    bar.className = 'element-bar';
+    for (const [element, count] of Object.entries(r.counts)) {
+      if (count === 0) continue;
+      const seg = document.createElement('span');
+      seg.style.flex = count;
+      seg.style.background = ELEMENT_INFO[element].color;
+      seg.title = `${ELEMENT_INFO[element].label}: ${count}`;
+      bar.appendChild(seg);
+    }
+    li.appendChild(bar);
+
+    for (const conflict of r.conflicts) {
+      const line = document.createElement('div');
+      line.className = 'element-conflict';
+      line.textContent = describeConflict(conflict, r.element);
+      li.appendChild(line);
+    }
+    if (r.suggestions.length > 0) {
+      const line = document.createElement('div');
+      line.className = 'element-suggest';
+      const names = [...new Set(r.suggestions.map(s => s.item.label))].slice(0, 4).join(', ');
+      line.textContent = `Try: ${names}`;
+      line.title = `${ELEMENT_INFO[r.element].label} and the element that feeds it support this zone`;
+      li.appendChild(line);
+    }
+    list.appendChild(li);
+  }
+}
+
+// --- Commanding position ---
+
+function analyzeScene() {
+  return analyzeCommanding(editor.furniture, editor.walls, editor.doors, editor.windows, editor.units);
+}
+
+function syncCommanding() {
+  const summary = document.getElementById('commanding-summary');
+  const list = document.getElementById('commanding-list');
+  list.innerHTML = '';
+  const results = analyzeScene();
+  if (results.length === 0) {
+    summary.textContent = 'Place a bed, desk or sofa to check its commanding position.';
+    return;
+  }
+  const good = results.filter(r => r.issues.length === 0).length;
+  summary.textContent = `${good} of ${results.length} in a commanding position`;
+
+  for (const r of results) {
+    const li = document.createElement('li');
+    li.className = 'commanding-item';
+    const title = document.createElement('div');
+    title.className = 'commanding-title';
+    const name = document.createElement('span');
+    name.textContent = r.item.label || r.item.type;
+    const score = document.createElement('span');
+    score.className = 'commanding-score' + (r.score >= 75 ? ' good' : r.score >= 50 ? ' fair' : '');
+    score.textContent = `${r.score}/100`;
+    title.append(name, score);
+    li.appendChild(title);
+    for (const issue of r.issues) {
+      const line = document.createElement('div');
+      line.className = 'element-conflict';
+      line.textContent = issue;
+      li.appendChild(line);
+    }
+    // Select the piece on the plan
+    li.addEventListener('click', () => {
+      editor.selectedItem = { type: 'furniture', index: r.index };
+      syncInspector();
+    });
+    list.appendChild(li);
+  }
+}
+
+// --- Issues ---
+
+function syncIssues() {
+  const flow = simulationActive && roomBounds ? { grid, roomBounds } : null;
+  issues = evaluateRules(buildContext(editor, flow));
+  if (!issues.includes(activeIssue)) activeIssue = null;
+
+  const summary = document.getElementById('issues-summary');
+  const list = document.getElementById('issues-list');
+  list.innerHTML = '';
+  if (editor.walls.length === 0) {
+    summary.textContent = 'Draw the room to check it against feng shui rules.';
+    return;
+  }
+  summary.textContent = (issues.length === 0 ? 'No issues found' :
+    `${issues.length} issue${issues.length === 1 ? '' : 's'} found`) +
+    (flow ? '' : ' · run the simulation to check the flow too');
+
+  issues.forEach((issue, i) => {
+    const li = document.createElement('li');
+    li.className = 'issue' + (issue === activeIssue ? ' active' : '');
+    const title = document.createElement('div');
+    title.className = 'issue-title';
+    const badge = document.createElement('span');
+    badge.className = 'issue-badge';
+    badge.style.background = SEVERITY_COLORS[issue.severity];
+    badge.textContent = i + 1;
+    badge.title = `${issue.severity} severity`;
+    const name = document.createElement('span');
+    name.textContent = issue.title;
+    title.append(badge, name);
+    const message = document.createElement('div');
+    message.className = 'issue-message';
+    message.textContent = issue.message;
+    li.append(title, message);
+    li.addEventListener('click', () => focusIssue(issue));
+    list.appendChild(li);
+  });
+}
+
+// Center the canvas on an issue and highlight it in the list
+function focusIssue(issue) {
+  activeIssue = issue;
+  setLayer('issues', true);
+  canvas.panX = canvas.displayWidth / 2 - issue.x * canvas.zoom;
+  canvas.panY = canvas.displayHeight / 2 - issue.y * canvas.zoom;
+  const items = document.querySelectorAll('#issues-list .issue');
+  items.forEach((li, i) => li.classList.toggle('active', issues[i] === issue));
+  items[issues.indexOf(issue)]?.scrollIntoView?.({ block: 'nearest' });
+}
+
+// Issue marker under a screen point, if any
+function issueAt(sx, sy) {
+  return issues.find((issue) => {
+    const p = canvas.worldToScreen(issue.x, issue.y);
+    return Math.hypot(p.x - sx, p.y - sy) <= MARKER_RADIUS;
+  }) || null;
+}
+
+// --- Flow metrics ---
+
+function updateMetrics() {
+  if (metrics) previousScore = metrics.score;
+  bagua.update(editor.walls, editor.doors, editor.revision);
+  metrics = computeMetrics(grid, roomBounds, {
+    mask: bagua.mask,
+    zones: bagua.zones,
+    zoneAt: (x, y) => bagua.zoneAt(x, y),
+  });
+  syncMetrics();
+}
+
+function syncMetrics() {
+  const card = document.getElementById('metrics-card');
+  const list = document.getElementById('metrics-zones');
+  card.innerHTML = '';
+  list.innerHTML = '';
+  if (!simulationActive || !metrics) {
+    card.textContent = 'Run the simulation to score the layout.';
+    card.className = 'panel-note';
+    return;
+  }
+  card.className = 'metrics-card';
+
+  const head = document.createElement('div');
+  head.className = 'metrics-score';
+  const score = document.createElement('span');
+  score.className = 'metrics-value' + (metrics.score >= 75 ? ' good' : metrics.score >= 50 ? ' fair' : '');
+  score.textContent = metrics.score;
+  const grade = document.createElement('span');
+  grade.textContent = metrics.grade;
+  head.append(score, grade);
+  if (previousScore !== null) {
+    const change = metrics.score - previousScore;
+    const delta = document.createElement('span');
+    delta.className = 'metrics-delta';
+    delta.textContent = `${change >= 0 ? '+' : ''}${change} since last run`;
+    head.appendChild(delta);
+  }
+  card.appendChild(head);
+
+  const rows = [
+    ['Good flow', `${metrics.goodPct}%`],
+    ['Stagnant', `${metrics.stagnantPct}%`],
+    ['Sha chi', `${metrics.shaChiPct}%`],
+    ['Uniformity', `${metrics.uniformityPct}%`],
+    ['Mean flow', `${metrics.meanFlowPct}%`],
+  ];
+  for (const [label, value] of rows) {
+    const row = document.createElement('div');
+    row.className = 'metrics-row';
+    const name = document.createElement('span');
+    name.textContent = label;
+    const v = document.createElement('span');
+    v.textContent = value;
+    row.append(name, v);
+    card.appendChild(row);
+  }
+
+  // Bars are scaled to the liveliest zone so differences stay visible
+  const top = Math.max(...metrics.zones.map(z => z.meanFlowPct), 0.1);
+  for (const z of metrics.zones) {
+    const li = document.createElement('li');
+    li.className = 'element-zone';
+    li.title = `${z.stagnantPct}% stagnant · ${z.shaChiPct}% sha chi`;
+    const title = document.createElement('div');
+    title.className = 'element-zone-title';
+    const name = document.createElement('span');
+    name.textContent = z.zone.name;
+    const value = document.createElement('span');
+    value.className = 'element-tag';
+    value.textContent = `${z.meanFlowPct}% · ${z.stagnantPct}% stagnant`;
+    title.append(name, value);
+    const bar = document.createElement('div');
+    bar.className = 'element-bar';
+    const fill = document.createElement('span');
+    fill.style.width = `${z.meanFlowPct / top * 100}%`;
+    fill.style.background = z.zone.textColor;
+    bar.appendChild(fill);
+    li.append(title, bar);
+    list.appendChild(li);
+  }
+}
+
+// --- Variants ---
+
+function setupVariants() {
+  document.getElementById('variant-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = document.getElementById('variant-name');
+    const name = input.value.trim() || `Variant ${variants.list.length + (variants.list.length ? 1 : 2)}`;
+    variants.fork(name, editor);
+    input.value = '';
+    syncVariants();
+    scheduleAutosave();
+    setStatus(`Forked "${name}" — changes now go to this variant`);
+  });
+  document.getElementById('btn-compare').addEventListener('click', openCompare);
+  document.getElementById('btn-compare-close').addEventListener('click', () => {
+    cancelCompare();
+    document.getElementById('compare-dialog').hidden = true;
+  });
+  document.getElementById('btn-compare-cancel').addEventListener('click', () => {
+    cancelCompare();
+    document.getElementById('compare-view').textContent = 'Comparison cancelled';
+  });
+  for (const id of ['compare-a', 'compare-b', 'compare-mode']) {
+    document.getElementById(id).addEventListener('change', renderCompare);
+  }
+  syncVariants();
+}
+
+function syncVariants() {
+  const list = document.getElementById('variant-list');
+  list.innerHTML = '';
+  document.getElementById('btn-compare').disabled = variants.list.length < 2;
+  for (const variant of variants.list) {
+    const isActive = variant === variants.active;
+    const li = document.createElement('li');
+    li.className = 'variant' + (isActive ? ' active' : '');
+    li.title = isActive ? 'Being edited' : 'Switch to this variant';
+    const name = document.createElement('span');
+    name.textContent = variant.name;
+    li.appendChild(name);
+    if (!isActive) {
+      const remove = document.createElement('button');
+      remove.className = 'project-action';
+      remove.textContent = '\u2715';
+      remove.title = 'Delete';
+      remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!confirm(`Delete the variant "${variant.name}"?`)) return;
+        variants.remove(variant.id);
+        syncVariants();
+        scheduleAutosave();
+      });
+      li.appendChild(remove);
+      li.addEventListener('click', () => switchVariant(variant));
+    }
+    list.appendChild(li);
+  }
+}
+
+function switchVariant(variant) {
+  if (!variants.switchTo(variant.id, editor)) return;
+  stopSimulation();
+  roomBounds = null;
+  particles.reset();
+  syncVariants();
+  setStatus(`Switched to "${variant.name}" — running simulation...`);
+  setTimeout(() => runSimulation(), 100);
+}
+
+function openCompare() {
+  if (variants.list.length < 2) return;
+  const fill = (id, selected) => {
+    const select = document.getElementById(id);
+    select.innerHTML = '';
+    for (const v of variants.list) {
+      const option = document.createElement('option');
+      option.value = v.id;
+      option.textContent = v.name;
+      option.selected = v === selected;
+      select.appendChild(option);
+    }
+  };
+  const others = variants.list.filter(v => v !== variants.active);
+  fill('compare-a', others[0]);
+  fill('compare-b', variants.active);
+  document.getElementById('compare-dialog').hidden = false;
+  renderCompare();
+}
+
+// Simulate both picks (cached per variant until its plan changes) and show
+// them side by side, or the change from A to B as a difference heatmap.
+// They solve one after the other in the worker; a newer comparison replaces
+// one still solving.
+async function renderCompare() {
+  const run = ++compareRun;
+  const a = variants.list.find(v => v.id === document.getElementById('compare-a').value);
+  const b = variants.list.find(v => v.id === document.getElementById('compare-b').value);
+  const mode = document.getElementById('compare-mode').value;
+  const view = document.getElementById('compare-view');
+  const cancel = document.getElementById('btn-compare-cancel');
+  view.innerHTML = '';
+  document.getElementById('compare-metrics').innerHTML = '';
+  if (!a || !b) return;
+  view.textContent = 'Simulating...';
+  cancel.hidden = false;
+
+  const progress = (variant) => (done) => {
+    if (run === compareRun) view.textContent = `Simulating ${variant.name}... ${Math.round(done * 100)}%`;
+  };
+  let ra, rb;
+  try {
+    ra = await variants.resultOf(a, editor, quality, compareSolver, progress(a));
+    rb = ra && await variants.resultOf(b, editor, quality, compareSolver, progress(b));
+  } catch (err) {
+    if (run !== compareRun) return;
+    cancel.hidden = true;
+    view.textContent = `Simulation failed: ${err.message}`;
+    return;
+  }
+  if (!ra || !rb || run !== compareRun) return; // cancelled, or replaced by a newer comparison
+  cancel.hidden = true;
+
+  view.innerHTML = '';
+  const snapshot = (result, overlay = result) => renderComposite({
+    editor: result.editor,
+    grid: overlay.grid,
+    heatmap: overlay.heatmap,
+    roomBounds: overlay.roomBounds,
+    layers: { heatmap: true },
+    simulationActive: true,
+  }, 1200);
+  const panel = (title, c) => {
+    const figure = document.createElement('figure');
+    const caption = document.createElement('figcaption');
+    caption.textContent = title;
+    figure.append(c, caption);
+    view.appendChild(figure);
+  };
+  if (mode === 'diff') {
+    const diff = { grid: ra.grid, roomBounds: ra.roomBounds, heatmap: new DifferenceHeatmap(ra, rb) };
+    panel(`${b.name} compared with ${a.name} — green: flow improved, red: flow weakened`, snapshot(rb, diff));
+  } else {
+    panel(a.name, snapshot(ra));
+    panel(b.name, snapshot(rb));
+  }
+  renderCompareMetrics(a.name, ra.metrics, b.name, rb.metrics);
+}
+
+function cancelCompare() {
+  compareRun++;
+  compareSolver.cancel();
+  document.getElementById('btn-compare-cancel').hidden = true;
+}
+
+function renderCompareMetrics(nameA, ma, nameB, mb) {
+  const table = document.getElementById('compare-metrics');
+  if (!ma || !mb) return;
+  const rows = [
+    ['Harmony', 'score', '', 1],
+    ['Good flow', 'goodPct', '%', 1],
+    ['Stagnant', 'stagnantPct', '%', -1],
+    ['Sha chi', 'shaChiPct', '%', -1],
+    ['Uniformity', 'uniformityPct', '%', 1],
+  ];
+  const head = table.insertRow();
+  for (const text of ['', nameA, nameB, 'Change']) {
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  }
+  for (const [label, key, unit, better] of rows) {
+    const row = table.insertRow();
+    const change = Math.round((mb[key] - ma[key]) * 10) / 10;
+    row.insertCell().textContent = label;
+    row.insertCell().textContent = `${ma[key]}${unit}`;
+    row.insertCell().textContent = `${mb[key]}${unit}`;
+    const cell = row.insertCell();
+    cell.textContent = `${change > 0 ? '+' : ''}${change}${unit}`;
+    if (change !== 0) cell.className = change * better > 0 ? 'better' : 'worse';
+  }
+}
+
+// --- Units ---
+
+function setupUnits() {
+  document.getElementById('unit-system').addEventListener('change', (e) => {
+    editor.setUnitSystem(e.target.value);
+    syncUnitsPanel();
+  });
+  document.getElementById('btn-calibrate').addEventListener('click', () => {
+    document.querySelector('[data-tool="calibrate"]').click();
+    setStatus('Click both ends of a line with a known length');
+  });
+  syncUnitsPanel();
+}
+
+function syncUnitsPanel() {
+  const units = editor.units;
+  document.getElementById('unit-system').value = units.system;
+  const oneUnit = units.system === 'imperial' ? 0.3048 : 1;
+  document.getElementById('unit-scale').textContent =
+    `1 ${unitLabel(units.system)} = ${(units.unitsPerMeter * oneUnit).toFixed(1)} units`;
+}
+
+// --- Compass School ---
+
+function setupCompass() {
+  document.getElementById('bagua-school').addEventListener('change', (e) => {
+    const school = e.target.value;
+    editor.setCompass({ school });
+    if (school === 'compass') setLayer('bagua', true);
+    syncCompass();
+  });
+  document.getElementById('compass-north').addEventListener('change', (e) => {
+    const north = Number(e.target.value);
+    if (e.target.value !== '' && Number.isFinite(north)) editor.setCompass({ north: normalizeBearing(north) });
+    syncCompass();
+    syncOccupants();
+  });
+  // Setting the entrance bearing turns the plan's north to match
+  document.getElementById('compass-facing').addEventListener('change', (e) => {
+    const facing = Number(e.target.value);
+    bagua.update(editor.walls, editor.doors, editor.revision);
+    if (e.target.value !== '' && Number.isFinite(facing) && bagua.frame) {
+      editor.setCompass({ north: bagua.northFor(normalizeBearing(facing)) });
+    }
+    syncCompass();
+    syncOccupants();
+  });
+  document.getElementById('compass-year').addEventListener('change', (e) => {
+    const year = Math.round(Number(e.target.value));
+    if (year >= 1864) editor.setCompass({ year });
+    syncCompass();
+  });
+  document.getElementById('compass-period').addEventListener('change', (e) => {
+    editor.setCompass({ period: Number(e.target.value) });
+    syncCompass();
+  });
+  syncCompass();
+}
+
+function syncCompass() {
+  const compass = editor.compass;
+  const isCompass = compass.school === 'compass';
+  document.getElementById('bagua-school').value = compass.school;
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (document.activeElement !== el) el.value = value;
+  };
+  setValue('compass-north', +compass.north.toFixed(1));
+
+  // The entrance bearing needs walls to find the main entrance's direction
+  bagua.update(editor.walls, editor.doors, editor.revision);
+  const facingInput = document.getElementById('compass-facing');
+  facingInput.disabled = !bagua.frame;
+  setValue('compass-facing', bagua.frame ? +bagua.facingBearing(compass.north).toFixed(1) : '');
+
+  document.getElementById('compass-settings').style.display = isCompass ? 'block' : 'none';
+  if (!isCompass) return;
+  setValue('compass-year', compass.year);
+  setValue('compass-period', compass.period);
+
+  const grid = document.getElementById('star-chart');
+  grid.innerHTML = '';
+  if (!bagua.frame) {
+    document.getElementById('compass-note').textContent = 'Draw walls and a door to cast the chart';
+    return;
+  }
+  const facing = bagua.facingBearing(compass.north);
+  const chart = flyingStarChart(facing, compass.period, compass.year);
+  const current = periodOf(compass.year);
+  document.getElementById('compass-note').textContent =
+    `Faces ${sectorOf(facing).dir}, sits ${chart.sittingDir}` +
+    (current !== compass.period ? ` · ${compass.year} is in period ${current}` : '');
+
+  for (const dir of LO_SHU_LAYOUT) {
+    const stars = chart.palaces[dir];
+    const sector = SECTORS.find(s => s.dir === dir);
+    const cell = document.createElement('div');
+    cell.className = 'star-cell' +
+      (dir === chart.facingDir ? ' facing' : '') + (dir === chart.sittingDir ? ' sitting' : '');
+    cell.title = sector ? `${sector.name} · ${sector.element}` : 'Center';
+    const name = document.createElement('div');
+    name.className = 'star-dir';
+    name.textContent = sector ? `${dir} ${sector.trigram}` : 'C';
+    const main = document.createElement('div');
+    main.className = 'star-main';
+    main.textContent = `${stars.mountain} ${stars.water}`;
+    const minor = document.createElement('div');
+    minor.className = 'star-minor';
+    minor.textContent = `${stars.base} · ${stars.annual}`;
+    cell.append(name, main, minor);
+    grid.appendChild(cell);
+  }
+}
+
+// --- Occupants (Kua numbers) ---
+
+function setupOccupants() {
+  document.getElementById('occupant-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = document.getElementById('occupant-name').value.trim();
+    const birthYear = Math.round(Number(document.getElementById('occupant-year').value));
+    const gender = document.getElementById('occupant-gender').value;
+    if (!name || !(birthYear >= BIRTH_YEARS.min && birthYear <= BIRTH_YEARS.max)) {
+      setStatus(`Enter a name and a birth year between ${BIRTH_YEARS.min} and ${BIRTH_YEARS.max}`);
+      return;
+    }
+    editor.addOccupant(name, birthYear, gender);
+    kuaOccupantId = editor.occupants[editor.occupants.length - 1].id;
+    setLayer('bagua', true);
+    e.target.reset();
+    syncOccupants();
+  });
+  syncOccupants();
+}
+
+function syncOccupants() {
+  const list = document.getElementById('occupant-list');
+  list.innerHTML = '';
+  if (!editor.occupants.some(o => o.id === kuaOccupantId)) kuaOccupantId = null;
+
+  for (const occupant of editor.occupants) {
+    const kua = kuaNumber(occupant.birthYear, occupant.gender);
+    const directions = directionsFor(kua);
+    const li = document.createElement('li');
+    li.className = 'occupant' + (occupant.id === kuaOccupantId ? ' selected' : '');
+    li.title = 'Show favorable directions on the plan';
+
+    const title = document.createElement('div');
+    title.className = 'occupant-title';
+    const name = document.createElement('span');
+    name.textContent = `${occupant.name} · Kua ${kua} (${kuaGroup(kua)})`;
+    const remove = document.createElement('button');
+    remove.className = 'project-action';
+    remove.textContent = '\u2715';
+    remove.title = 'Remove';
+    remove.addEventListener('click', (e) => {
+      e.stopPropagation();
+      editor.removeOccupant(occupant.id);
+      syncOccupants();
+    });
+    title.append(name, remove);
+
+    const good = document.createElement('div');
+    good.className = 'occupant-directions';
+    good.textContent = Object.entries(directions)
+      .filter(([, d]) => d.good)
+      .sort((a, b) => a[1].rank - b[1].rank)
+      .map(([dir, d]) => `${dir} ${d.meaning}`)
+      .join(', ');
+    li.append(title, good);
+    li.addEventListener('click', () => {
+      kuaOccupantId = occupant.id === kuaOccupantId ? null : occupant.id;
+      if (kuaOccupantId) setLayer('bagua', true);
+      syncOccupants();
+    });
+    list.appendChild(li);
+  }
+
+  // How each bed and desk sits for each occupant
+  const checks = document.getElementById('kua-checks');
+  checks.innerHTML = '';
+  for (const check of checkFurniture(editor.furniture, editor.occupants, editor.compass.north)) {
+    const li = document.createElement('li');
+    li.className = check.direction.good ? 'kua-good' : 'kua-bad';
+    const item = check.item.label || check.item.type;
+    li.textContent = `${item} ${CHECKED_TYPES[check.item.type]} ${check.dir} — ` +
+      `${check.direction.label} (${check.direction.meaning}) for ${check.occupant.name}`;
+    checks.appendChild(li);
+  }
+}
+
+function showCoords(world) {
+  const fmt = (v) => (v < 0 ? '-' : '') + formatLength(v, editor.units);
+  document.getElementById('status-coords').textContent = `${fmt(world.x)}, ${fmt(world.y)}`;
+}
+
 // --- Simulation ---
 
-function runSimulation() {
+// The solver runs in a worker, so the canvas can still be panned and zoomed
+// meanwhile; the Simulate button turns into Cancel until it finishes.
+// Live runs (started by an edit) report no progress and, when the grid
+// covers the same area as the last result, start from its potential.
+async function runSimulation({ live = false } = {}) {
   if (editor.walls.length === 0 && editor.doors.length === 0) {
-    setStatus('Draw walls and a door first');
+    if (!live) setStatus('Draw walls and a door first');
     return;
   }
 
-  setStatus('Running simulation...');
-  const btn = document.getElementById('btn-simulate');
-  btn.disabled = true;
+  // Square cells over the room, as many as the quality preset asks for
+  const plan = editor.getSimulationState();
+  const layout = gridLayout(plan.roomBounds, quality);
+  const state = { ...plan, roomBounds: layout.bounds };
+  const warm = simulationActive && grid.width === layout.width && grid.height === layout.height &&
+    sameBounds(roomBounds, layout.bounds);
+  liveRunning = live;
+  if (!live) {
+    setStatus('Running simulation...');
+    setSimulateButton(true);
+  }
 
-  // Use requestAnimationFrame to let the status update render
-  requestAnimationFrame(() => {
-    const state = editor.getSimulationState();
-    roomBounds = state.roomBounds;
-    simulation.rasterize(state);
-    simulation.solve();
+  let finished;
+  try {
+    finished = await solver.solve(state, {
+      width: layout.width,
+      height: layout.height,
+      seed: warm ? grid.potential.slice() : null, // the grid is cleared before solving
+      onProgress: live ? null : (done) => setStatus(`Running simulation... ${Math.round(done * 100)}%`),
+    });
+  } catch (err) {
+    setStatus(`Simulation failed: ${err.message}`);
+    return;
+  } finally {
+    if (!solver.running) {
+      setSimulateButton(false);
+      liveRunning = false;
+      if (liveQueued) {
+        liveQueued = false;
+        scheduleLive();
+      }
+    }
+  }
+  if (!finished) return; // cancelled, or replaced by a newer run
+
+  roomBounds = state.roomBounds;
+
+  // Compute viz transform
+  updateVizTransform();
+
+  // Set up particles; after a warm start the flow barely moved, so the ones
+  // in flight carry on
+  if (!warm) particles.reset();
+  particles.findSources();
+
+  // Generate heatmap
+  heatmap.generate();
+
+  simulationActive = true;
+  updateMetrics();
+  syncIssues();
+  transient.clear();
+  clearTimeout(fillTimer);
+  if (live && layers.fill) fillTimer = setTimeout(fillAfterPause, FILL_PAUSE_MS);
+  const fill = layers.fill && !live ? runFill(true) : null;
+
+  const { iterations, residual, converged, method } = solver.stats;
+  const runs = method === 'sor' ? `${iterations} sweeps` : `${iterations} cycles`;
+  if (!converged) {
+    setStatus(`Simulation stopped after ${runs} without converging (residual ${residual.toExponential(1)})`);
+  } else {
+    setStatus(live
+      ? `Live simulation updated (${runs})`
+      : `Simulation complete (${runs}) — ${fill ? describeFill(fill) : 'toggle layers to visualize'}`);
+  }
+}
 
-    // Compute viz transform
-    updateVizTransform();
+// Release chi at the doors and windows and time how long it takes to reach
+// each spot (transient.js), over the last simulation's flow
+function runFill(animate) {
+  bagua.update(editor.walls, editor.doors, editor.revision);
+  const fill = transient.run(roomBounds, { units: editor.units, mask: bagua.mask });
+  fillStart = animate ? performance.now() : null;
+  return fill;
+}
 
-    // Set up particles
-    particles.reset();
-    particles.findSources();
+function fillAfterPause() {
+  fillTimer = null;
+  if (!simulationActive || !layers.fill || solver.running) return; // a newer run will ask again
+  setStatus(`Live simulation updated — ${describeFill(runFill(false))}`);
+}
 
-    // Generate heatmap
-    heatmap.generate();
+// Seconds into the fill to show: the whole map once playback is over
+function fillTime() {
+  const last = transient.summary?.lastSeconds;
+  if (fillStart === null || !last) return Infinity;
+  return (performance.now() - fillStart) / FILL_PLAYBACK_MS * last;
+}
 
-    simulationActive = true;
-    btn.disabled = false;
+function describeFill(fill) {
+  if (fill.lastSeconds === null) return 'chi reaches none of the floor';
+  const last = `the last spot (ringed) after ${Math.round(fill.lastSeconds)} s`;
+  return fill.fillSeconds !== null
+    ? `chi fills ${Math.round(FILL_SHARE * 100)}% of the floor in ${Math.round(fill.fillSeconds)} s, ${last}`
+    : `chi reaches only ${fill.reachedPct}% of the floor, ${last}`;
+}
 
-    setStatus('Simulation complete — toggle layers to visualize');
-  });
+// Re-simulate after an edit in live mode. Change notifications arrive
+// before the edit is made, so the run starts on the next tick; edits made
+// while one is solving are picked up by a single run after it.
+function scheduleLive() {
+  if (!liveMode) return;
+  clearTimeout(fillTimer); // still editing
+  if (solver.running) {
+    liveQueued = true;
+    return;
+  }
+  clearTimeout(liveTimer);
+  liveTimer = setTimeout(() => runSimulation({ live: true }), 0);
+}
+
+function sameBounds(a, b) {
+  return !!a && a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+}
+
+function cancelSimulation() {
+  if (!solver.running) return;
+  solver.cancel();
+  setStatus('Simulation cancelled');
+}
+
+// The plan changed under the simulation: hide its result and drop any run
+// still solving the old plan
+function stopSimulation() {
+  solver.cancel();
+  simulationActive = false;
+}
+
+function setSimulateButton(running) {
+  const btn = document.getElementById('btn-simulate');
+  btn.textContent = running ? '\u25A0 Cancel' : '\u25B6 Simulate';
+  btn.title = running ? 'Stop the simulation' : '';
 }
 
 function updateVizTransform() {
@@ -527,6 +2130,7 @@ function updateStatus() {
 // --- Render Loop ---
 
 function render() {
+  canvas.gridSize = gridStep(editor.units);
   canvas.clear();
   canvas.drawGrid();
 
@@ -536,13 +2140,17 @@ function render() {
   }
 
   // Draw heatmap (under the floor plan)
-  if (simulationActive && showHeatmap && vizTransform) {
+  if (simulationActive && layers.heatmap && vizTransform) {
     heatmap.render(canvas.ctx, vizTransform);
   }
+  if (simulationActive && layers.fill && transient.ready && vizTransform) {
+    transient.render(canvas.ctx, vizTransform, fillTime());
+  }
 
   // Draw bagua
-  if (showBagua && (editor.walls.length > 0 || roomBounds)) {
+  if (layers.bagua && (editor.walls.length > 0 || roomBounds)) {
     const rb = roomBounds || editor.getRoomBounds();
+    bagua.update(editor.walls, editor.doors, editor.revision);
     const screenTL = canvas.worldToScreen(rb.x, rb.y);
     const screenBR = canvas.worldToScreen(rb.x + rb.width, rb.y + rb.height);
     bagua.render(canvas.ctx, rb, {
@@ -552,20 +2160,41 @@ function render() {
       scaleY: (screenBR.y - screenTL.y) / rb.height,
       roomWidth: rb.width,
       roomHeight: rb.height,
-    });
+    }, editor.compass);
+  }
+
+  // Draw the selected occupant's favorable directions
+  const occupant = kuaOccupantId && editor.occupants.find(o => o.id === kuaOccupantId);
+  if (occupant && layers.bagua && editor.walls.length > 0) {
+    const rb = roomBounds || editor.getRoomBounds();
+    bagua.update(editor.walls, editor.doors, editor.revision);
+    const screenTL = canvas.worldToScreen(rb.x, rb.y);
+    const screenBR = canvas.worldToScreen(rb.x + rb.width, rb.y + rb.height);
+    bagua.renderDirections(canvas.ctx, rb, {
+      offsetX: screenTL.x,
+      offsetY: screenTL.y,
+      scaleX: (screenBR.x - screenTL.x) / rb.width,
+      scaleY: (screenBR.y - screenTL.y) / rb.height,
+    }, editor.compass.north, directionsFor(kuaNumber(occupant.birthYear, occupant.gender)));
   }
 
   // Draw floor plan
   canvas.beginWorldDraw();
-  editor.render(canvas.ctx, canvas);
+  editor.render(canvas.ctx, canvas, { showDimensions: layers.dimensions });
+  if (layers.sightlines) renderSightLines(canvas.ctx, analyzeScene(), canvas.zoom);
+  if (layers.issues) renderIssueMarkers(canvas.ctx, issues, canvas.zoom, activeIssue);
   canvas.endWorldDraw();
 
   // Draw particles (on top)
-  if (simulationActive && showParticles && vizTransform) {
+  if (simulationActive && layers.particles && vizTransform) {
     particles.update(1);
     particles.render(canvas.ctx, vizTransform);
   }
 
+  if (editor.walls.length > 0) {
+    renderNorthArrow(canvas.ctx, canvas.displayWidth - 30, 30, editor.compass.north);
+  }
+
   // Update status
   updateStatus();
 
@@ -582,6 +2211,20 @@ function init() {
   setupTemplates();
   setupImageUpload();
   setupHeaderButtons();
+  setupProjectFiles();
+  setupAutosave();
+  setupProjects();
+  setupShareLinks();
+  setupExport();
+  setupUnits();
+  setupCompass();
+  setupOccupants();
+  setupVariants();
+  setupInspector();
+  syncElements();
+  syncCommanding();
+  syncIssues();
+  syncMetrics();
   setupCanvasEvents();
 
   // Ensure canvas fills properly after CSS is applied
@@ -589,6 +2232,11 @@ function init() {
     canvas.resize();
     canvas.panX = canvas.displayWidth / 2 - 225;
     canvas.panY = canvas.displayHeight / 2 - 200;
+
+    // A shared link takes priority over restoring the last session
+    openSharedPlan().then((opened) => {
+      if (!opened) offerRestore();
+    });
   });
 
   setStatus('Draw walls, place doors, then simulate');
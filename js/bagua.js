@@ -1,8 +1,28 @@
 // Bagua map overlay
-// Divides the room into a 3x3 grid aligned to the main entrance
+// Black Hat (Western) school divides the room into a 3x3 grid aligned to the
+// main entrance: the front row runs along the main door's wall and the grid
+// turns with that wall, so a door on any wall (or an angled one) works.
+// Compass School instead splits the room into eight compass sectors around
+// its center (see compass.js). Parts of the room's bounding box that fall
+// outside an irregular room (an L's missing corner) are shaded as missing.
+
+import { roomMask, isInside } from './room.js';
+import { inwardSide } from './openings.js';
+import { SECTORS, sectorOf, normalizeBearing, flyingStarChart } from './compass.js';
+
+const DEG = Math.PI / 180;
+const MISSING_COVERAGE = 0.5; // zones with less floor than this count as missing
+const MISSING_COLOR = 'rgba(233, 69, 96, 0.18)';
+const SECTOR_COLORS = {
+  Water: 'rgba(0, 100, 200, 0.12)',
+  Wood: 'rgba(0, 150, 0, 0.12)',
+  Fire: 'rgba(200, 0, 0, 0.12)',
+  Earth: 'rgba(200, 200, 0, 0.12)',
+  Metal: 'rgba(180, 180, 180, 0.12)',
+};
 
 const BAGUA_ZONES = [
-  // Row 0 (front, near entrance)
+  // Row 0 (front, along the entrance wall)
   { name: 'Knowledge', color: 'rgba(0, 100, 200, 0.12)', textColor: '#4da6ff', col: 0, row: 0, element: 'Earth' },
   { name: 'Career', color: 'rgba(0, 0, 80, 0.12)', textColor: '#6699ff', col: 1, row: 0, element: 'Water' },
   { name: 'Helpful People', color: 'rgba(180, 180, 180, 0.12)', textColor: '#ccccdd', col: 2, row: 0, element: 'Metal' },
@@ -10,7 +30,7 @@ const BAGUA_ZONES = [
   { name: 'Family', color: 'rgba(0, 150, 0, 0.12)', textColor: '#55cc55', col: 0, row: 1, element: 'Wood' },
   { name: 'Health', color: 'rgba(200, 200, 0, 0.12)', textColor: '#cccc44', col: 1, row: 1, element: 'Earth' },
   { name: 'Children', color: 'rgba(200, 200, 200, 0.12)', textColor: '#ccccdd', col: 2, row: 1, element: 'Metal' },
-  // Row 2 (back, far from entrance)
+  // Row 2 (back, far from entrance); col 0 is on the left looking in
   { name: 'Wealth', color: 'rgba(100, 0, 200, 0.12)', textColor: '#bb77ff', col: 0, row: 2, element: 'Wood' },
   { name: 'Fame', color: 'rgba(200, 0, 0, 0.12)', textColor: '#ff6655', col: 1, row: 2, element: 'Fire' },
   { name: 'Relationships', color: 'rgba(200, 100, 150, 0.12)', textColor: '#ee88aa', col: 2, row: 2, element: 'Earth' },
@@ -19,47 +39,330 @@ const BAGUA_ZONES = [
 export class BaguaMap {
   constructor() {
     this.zones = BAGUA_ZONES;
+    this.frame = null;     // oriented box the grid is laid over, see update()
+    this.mask = null;      // room mask (room.js)
+    this.coverage = new Map(); // zone → fraction of its cell inside the room
+    this.missingCells = []; // mask cells inside the grid but outside the room
+    this.revision = null;  // editor revision the grid was laid for
+  }
+
+  // Lay the grid over the plan with the front row along the main door's
+  // wall, looking into the room. Cheap to call every frame; given the
+  // editor's revision it only redoes the work when the scene has changed.
+  update(walls, doors, revision = null) {
+    if (revision !== null && revision === this.revision) return;
+    this.revision = revision;
+    this.frame = null;
+    this.mask = null;
+    this.coverage = new Map();
+    this.missingCells = [];
+    if (walls.length === 0) return;
+
+    this.mask = roomMask(walls);
+    const door = mainDoor(doors);
+    const dir = door ? this._entranceDirection(door, walls) : { x: 0, y: -1 };
+    const right = { x: -dir.y, y: dir.x }; // right of travel in screen coordinates
+    let minA = Infinity, maxA = -Infinity, minB = Infinity, maxB = -Infinity;
+    for (const w of walls) {
+      for (const [x, y] of [[w.x1, w.y1], [w.x2, w.y2]]) {
+        const a = x * right.x + y * right.y;
+        const b = x * dir.x + y * dir.y;
+        minA = Math.min(minA, a);
+        maxA = Math.max(maxA, a);
+        minB = Math.min(minB, b);
+        maxB = Math.max(maxB, b);
+      }
+    }
+    if (maxA - minA <= 0 || maxB - minB <= 0) return;
+    this.frame = { dir, right, minA, maxA, minB, maxB, door };
+
+    // How much of each zone is actually floor
+    if (!this.mask) return;
+    const { x0, y0, cell, cols, rows, inside } = this.mask;
+    const totals = new Map();
+    const hits = new Map();
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) {
+        const x = x0 + (i + 0.5) * cell;
+        const y = y0 + (j + 0.5) * cell;
+        const zone = this._zoneInBox(x, y);
+        if (!zone) continue;
+        totals.set(zone, (totals.get(zone) || 0) + 1);
+        if (inside[j * cols + i]) hits.set(zone, (hits.get(zone) || 0) + 1);
+        else this.missingCells.push({ x: x0 + i * cell, y: y0 + j * cell });
+      }
+    }
+    for (const zone of this.zones) {
+      this.coverage.set(zone, totals.get(zone) ? (hits.get(zone) || 0) / totals.get(zone) : 1);
+    }
+  }
+
+  // Unit vector from the door into the room: whichever side of its wall is
+  // floor, or the side facing the middle of the plan if that can't be told
+  _entranceDirection(door, walls) {
+    const dx = door.x2 - door.x1;
+    const dy = door.y2 - door.y1;
+    const len = Math.hypot(dx, dy) || 1;
+    const n = { x: -dy / len, y: dx / len };
+    const wall = walls.find(w => w.id === door.wallId) || { ...door };
+    if (this.mask) {
+      const mx = (door.x1 + door.x2) / 2;
+      const my = (door.y1 + door.y2) / 2;
+      const d = this.mask.cell * 2;
+      const ahead = isInside(this.mask, mx + n.x * d, my + n.y * d);
+      const behind = isInside(this.mask, mx - n.x * d, my - n.y * d);
+      if (ahead !== behind) return ahead ? n : { x: -n.x, y: -n.y };
+    }
+    // Door runs the same way as its wall, so the wall's side applies
+    const along = (wall.x2 - wall.x1) * dx + (wall.y2 - wall.y1) * dy;
+    const side = inwardSide(wall, walls) === 'right' ? 1 : -1;
+    const flip = along < 0 ? -1 : 1;
+    return { x: n.x * side * flip, y: n.y * side * flip };
+  }
+
+  // Zone over a world point, ignoring whether the point is floor
+  _zoneInBox(x, y) {
+    const f = this.frame;
+    if (!f) return null;
+    const u = (x * f.right.x + y * f.right.y - f.minA) / (f.maxA - f.minA);
+    const v = (x * f.dir.x + y * f.dir.y - f.minB) / (f.maxB - f.minB);
+    if (!(u >= 0 && u <= 1 && v >= 0 && v <= 1)) return null;
+    const col = Math.min(2, Math.floor(u * 3));
+    const row = Math.min(2, Math.floor(v * 3)); // row 0 is the entrance side
+    return this.zones.find(z => z.col === col && z.row === row);
+  }
+
+  // Zone containing a world point, or null outside the room. Call update() first.
+  zoneAt(x, y) {
+    if (!isInside(this.mask, x, y)) return null;
+    return this._zoneInBox(x, y);
+  }
+
+  // Zones less than half of which is floor
+  missingZones() {
+    return this.zones.filter(z => this.coverage.get(z) < MISSING_COVERAGE);
+  }
+
+  // World-space corners of a zone's cell
+  zoneCorners(zone) {
+    const f = this.frame;
+    const w = (f.maxA - f.minA) / 3;
+    const h = (f.maxB - f.minB) / 3;
+    const point = (a, b) => ({ x: a * f.right.x + b * f.dir.x, y: a * f.right.y + b * f.dir.y });
+    const a0 = f.minA + zone.col * w;
+    const b0 = f.minB + zone.row * h;
+    return [point(a0, b0), point(a0 + w, b0), point(a0 + w, b0 + h), point(a0, b0 + h)];
+  }
+
+  // --- Compass School ---
+
+  // Center of the grid, where the compass sectors meet
+  center() {
+    const f = this.frame;
+    const a = (f.minA + f.maxA) / 2;
+    const b = (f.minB + f.maxB) / 2;
+    return { x: a * f.right.x + b * f.dir.x, y: a * f.right.y + b * f.dir.y };
+  }
+
+  // Compass bearing the main entrance looks out towards, for a plan whose
+  // north points `north` degrees clockwise from straight up
+  facingBearing(north) {
+    const out = { x: -this.frame.dir.x, y: -this.frame.dir.y };
+    return normalizeBearing(Math.atan2(out.x, -out.y) / DEG - north);
+  }
+
+  // The plan north that makes the main entrance face `facing`
+  northFor(facing) {
+    return normalizeBearing(this.facingBearing(0) - facing);
   }
 
-  render(ctx, roomBounds, canvasTransform) {
-    const { offsetX, offsetY, scaleX, scaleY, roomWidth, roomHeight } = canvasTransform;
+  // Screen unit vector pointing to a compass bearing
+  directionOf(bearing, north) {
+    const a = (north + bearing) * DEG;
+    return { x: Math.sin(a), y: -Math.cos(a) };
+  }
 
-    const cellW = roomWidth / 3;
-    const cellH = roomHeight / 3;
+  // Compass bearing from the center to a world point
+  bearingOf(x, y, north) {
+    const c = this.center();
+    return normalizeBearing(Math.atan2(x - c.x, -(y - c.y)) / DEG - north);
+  }
+
+  // Compass sector containing a world point, or null outside the room
+  sectorAt(x, y, north) {
+    if (!this.frame || !isInside(this.mask, x, y)) return null;
+    return sectorOf(this.bearingOf(x, y, north));
+  }
+
+  _boxCorners() {
+    const f = this.frame;
+    const point = (a, b) => ({ x: a * f.right.x + b * f.dir.x, y: a * f.right.y + b * f.dir.y });
+    return [point(f.minA, f.minB), point(f.maxA, f.minB), point(f.maxA, f.maxB), point(f.minA, f.maxB)];
+  }
+
+  render(ctx, roomBounds, canvasTransform, compass = null) {
+    if (!this.frame) return;
+    const toScreen = screenMapping(roomBounds, canvasTransform);
 
     ctx.save();
     ctx.font = '12px -apple-system, sans-serif';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
+    if (compass?.school === 'compass') {
+      this._renderCompass(ctx, toScreen, canvasTransform, compass);
+    } else {
+      this._renderGrid(ctx, toScreen, canvasTransform);
+    }
+    ctx.restore();
+  }
+
+  // Parts of the grid that fall outside the room
+  _renderMissing(ctx, toScreen, { scaleX, scaleY }) {
+    if (this.missingCells.length === 0) return;
+    const cell = this.mask.cell;
+    ctx.fillStyle = MISSING_COLOR;
+    for (const c of this.missingCells) {
+      const p = toScreen(c);
+      ctx.fillRect(p.x, p.y, cell * scaleX + 0.5, cell * scaleY + 0.5);
+    }
+  }
+
+  // Eight 45° wedges around the center, clipped to the grid's box.
+  // fillOf(sector) gives each wedge's color. Returns the screen center and
+  // a radius that keeps labels inside the box.
+  _drawSectors(ctx, toScreen, north, fillOf) {
+    const c = toScreen(this.center());
+    const box = this._boxCorners().map(toScreen);
+    const reach = Math.max(...box.map(p => Math.hypot(p.x - c.x, p.y - c.y)));
+    const half = Math.min(
+      Math.hypot(box[1].x - box[0].x, box[1].y - box[0].y),
+      Math.hypot(box[3].x - box[0].x, box[3].y - box[0].y),
+    ) / 2;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(box[0].x, box[0].y);
+    for (const p of box.slice(1)) ctx.lineTo(p.x, p.y);
+    ctx.closePath();
+    ctx.clip();
+    for (const sector of SECTORS) {
+      const from = this.directionOf(sector.bearing - 22.5, north);
+      const to = this.directionOf(sector.bearing + 22.5, north);
+      ctx.beginPath();
+      ctx.moveTo(c.x, c.y);
+      ctx.arc(c.x, c.y, reach, Math.atan2(from.y, from.x), Math.atan2(to.y, to.x));
+      ctx.closePath();
+      ctx.fillStyle = fillOf(sector);
+      ctx.fill();
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+    ctx.restore();
+    return { c, half };
+  }
+
+  // Compass sectors with the Flying Star chart: mountain and water stars
+  // large, period and annual stars small
+  _renderCompass(ctx, toScreen, transform, compass) {
+    const chart = flyingStarChart(this.facingBearing(compass.north), compass.period, compass.year);
+    const { c, half } = this._drawSectors(ctx, toScreen, compass.north, s => SECTOR_COLORS[s.element]);
+    ctx.beginPath();
+    ctx.arc(c.x, c.y, half * 0.25, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(200, 200, 0, 0.1)';
+    ctx.fill();
+    ctx.stroke();
+    this._renderMissing(ctx, toScreen, transform);
+
+    const label = (x, y, title, stars) => {
+      ctx.fillStyle = '#e0e0f0';
+      ctx.globalAlpha = 0.8;
+      ctx.font = '11px -apple-system, sans-serif';
+      ctx.fillText(title, x, y - 16);
+      ctx.globalAlpha = 0.9;
+      ctx.font = 'bold 14px -apple-system, sans-serif';
+      ctx.fillText(`${stars.mountain}   ${stars.water}`, x, y);
+      ctx.globalAlpha = 0.6;
+      ctx.font = '10px -apple-system, sans-serif';
+      ctx.fillText(`${stars.base} · ${stars.annual}`, x, y + 14);
+      ctx.globalAlpha = 1;
+    };
+    for (const sector of SECTORS) {
+      const d = this.directionOf(sector.bearing, compass.north);
+      const title = `${sector.dir} ${sector.trigram} ${sector.element}`;
+      label(c.x + d.x * half * 0.6, c.y + d.y * half * 0.6, title, chart.palaces[sector.dir]);
+    }
+    label(c.x, c.y, 'Center', chart.palaces.C);
+  }
 
+  // A person's favorable (green) and unfavorable (red) directions.
+  // directions: { [dir]: { label, good } } — see kua.js
+  renderDirections(ctx, roomBounds, canvasTransform, north, directions) {
+    if (!this.frame) return;
+    const toScreen = screenMapping(roomBounds, canvasTransform);
+    ctx.save();
+    const { c, half } = this._drawSectors(ctx, toScreen, north,
+      s => (directions[s.dir].good ? 'rgba(74, 222, 128, 0.14)' : 'rgba(233, 69, 96, 0.12)'));
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = '11px -apple-system, sans-serif';
+    for (const sector of SECTORS) {
+      const d = this.directionOf(sector.bearing, north);
+      const { label, good } = directions[sector.dir];
+      ctx.fillStyle = good ? '#4ade80' : '#ff8866';
+      ctx.fillText(`${sector.dir} · ${label}`, c.x + d.x * half * 0.7, c.y + d.y * half * 0.7);
+    }
+    ctx.restore();
+  }
+
+  // Black Hat 3×3 grid
+  _renderGrid(ctx, toScreen, transform) {
     for (const zone of this.zones) {
-      const x = offsetX + zone.col * cellW * scaleX;
-      const y = offsetY + (2 - zone.row) * cellH * scaleY; // flip so "front" is bottom
-      const w = cellW * scaleX;
-      const h = cellH * scaleY;
+      const pts = this.zoneCorners(zone).map(toScreen);
+      ctx.beginPath();
+      ctx.moveTo(pts[0].x, pts[0].y);
+      for (const p of pts.slice(1)) ctx.lineTo(p.x, p.y);
+      ctx.closePath();
 
       // Fill zone
       ctx.fillStyle = zone.color;
-      ctx.fillRect(x, y, w, h);
+      ctx.fill();
 
       // Border
       ctx.strokeStyle = zone.textColor;
       ctx.globalAlpha = 0.3;
       ctx.lineWidth = 1;
-      ctx.strokeRect(x, y, w, h);
+      ctx.stroke();
       ctx.globalAlpha = 1;
+    }
+
+    this._renderMissing(ctx, toScreen, transform);
+
+    for (const zone of this.zones) {
+      const pts = this.zoneCorners(zone).map(toScreen);
+      const x = pts.reduce((s, p) => s + p.x, 0) / 4;
+      const y = pts.reduce((s, p) => s + p.y, 0) / 4;
+      const missing = this.coverage.get(zone) < MISSING_COVERAGE;
 
       // Label
       ctx.fillStyle = zone.textColor;
       ctx.globalAlpha = 0.7;
-      ctx.fillText(zone.name, x + w / 2, y + h / 2 - 8);
+      ctx.fillText(zone.name, x, y - 8);
       ctx.font = '10px -apple-system, sans-serif';
-      ctx.globalAlpha = 0.4;
-      ctx.fillText(zone.element, x + w / 2, y + h / 2 + 8);
+      ctx.globalAlpha = missing ? 0.8 : 0.4;
+      ctx.fillText(missing ? `${zone.element} · missing` : zone.element, x, y + 8);
       ctx.font = '12px -apple-system, sans-serif';
       ctx.globalAlpha = 1;
     }
-
-    ctx.restore();
   }
 }
+
+// World → screen for a transform that maps roomBounds' corner to offsetX/Y
+function screenMapping(roomBounds, { offsetX, offsetY, scaleX, scaleY }) {
+  return (p) => ({ x: offsetX + (p.x - roomBounds.x) * scaleX, y: offsetY + (p.y - roomBounds.y) * scaleY });
+}
+
+// The door marked as the main entrance, else the first one
+export function mainDoor(doors) {
+  return doors.find(d => d.main) || doors[0] || null;
+}
@@ -0,0 +1,121 @@
+// Custom furniture catalog — the user's own pieces, kept in localStorage and
+// shared between people as JSON files
+//
+// A catalog file is a single JSON object:
+//
+//   {
+//     "format": "feng-shui-flow-catalog",
+//     "version": 1,
+//     "pieces": [{ "type", "label", "dimensions": { "width", "depth" }, "color",
+//                  "flowResistance", "flowModifier", "poisonArrow", "shape",
+//                  "element", "colorElement", "materialElement", "description" }]
+//   }
+//
+// Pieces use the same fields as FURNITURE_CATALOG entries (dimensions in
+// meters). Their types start with "custom-" so they never shadow a built-in.
+
+import { ELEMENTS } from './elements.js';
+
+export const CATALOG_FORMAT = 'feng-shui-flow-catalog';
+export const CATALOG_VERSION = 1;
+
+const STORAGE_KEY = 'fengshui.catalog';
+const SHAPES = ['rect', 'circle', 'ellipse', 'lshape'];
+
+// Check and clean up one piece; throws with a readable message if unusable
+export function normalizePiece(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('piece is not an object');
+  const label = String(raw.label || '').trim();
+  if (!label) throw new Error('piece has no name');
+  const width = Number(raw.dimensions?.width);
+  const depth = Number(raw.dimensions?.depth);
+  if (!(width > 0) || !(depth > 0)) throw new Error(`"${label}" needs a positive width and depth`);
+
+  const clamp = (value, min, max, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+  };
+  const piece = {
+    type: raw.type?.startsWith('custom-') ? raw.type : customType(label),
+    label,
+    dimensions: { width, depth },
+    color: /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : '#888888',
+    flowResistance: clamp(raw.flowResistance, 0, 0.95, 0.5),
+    poisonArrow: !!raw.poisonArrow,
+    flowModifier: clamp(raw.flowModifier, -0.5, 0.5, 0),
+    description: String(raw.description || '').trim(),
+  };
+  if (SHAPES.includes(raw.shape) && raw.shape !== 'rect') piece.shape = raw.shape;
+  if (piece.shape === 'circle') piece.dimensions.depth = width;
+  for (const key of ['element', 'colorElement', 'materialElement']) {
+    if (ELEMENTS.includes(raw[key])) piece[key] = raw[key];
+  }
+  return piece;
+}
+
+function customType(label) {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `custom-${slug || 'piece'}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function loadCustomCatalog() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(data?.pieces) ? readPieces(data.pieces) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Throws if localStorage is full or unavailable
+export function saveCustomCatalog(pieces) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(serializeCatalog(pieces)));
+}
+
+export function serializeCatalog(pieces) {
+  return { format: CATALOG_FORMAT, version: CATALOG_VERSION, pieces };
+}
+
+// Parse an imported catalog file. Bad pieces are skipped; a file with
+// nothing usable throws.
+export function parseCatalog(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Not a valid JSON file');
+  }
+  if (data?.format !== CATALOG_FORMAT || !Array.isArray(data.pieces)) {
+    throw new Error('Not a furniture catalog file');
+  }
+  if (data.version > CATALOG_VERSION) {
+    throw new Error(`Catalog version ${data.version} is newer than this app supports (${CATALOG_VERSION})`);
+  }
+  const pieces = readPieces(data.pieces);
+  if (pieces.length === 0 && data.pieces.length > 0) throw new Error('No usable pieces in the file');
+  return pieces;
+}
+
+function readPieces(list) {
+  const pieces = [];
+  for (const raw of list) {
+    try {
+      pieces.push(normalizePiece(raw));
+    } catch (e) {
+      // Skip it — one broken piece shouldn't lose the rest
+    }
+  }
+  return pieces;
+}
+
+// Add imported pieces to the catalog; a piece with the same type replaces
+// the existing one, so re-importing a team library updates it in place
+export function mergeCatalog(pieces, imported) {
+  const merged = [...pieces];
+  for (const piece of imported) {
+    const i = merged.findIndex(p => p.type === piece.type);
+    if (i >= 0) merged[i] = piece;
+    else merged.push(piece);
+  }
+  return merged;
+}
@@ -0,0 +1,151 @@
+// Commanding position — can the person in a bed, at a desk or on a sofa see
+// the door, without sitting in its direct line, with a solid wall behind?
+//
+// Where the person is and which way they look depends on the piece (fronts
+// face +y at rotation 0, see geometry.js):
+//   bed  — head at the back edge, looking toward the foot
+//   sofa — seated in the middle, looking out of the front
+//   desk — seated in a chair in front of the front edge, looking across the
+//          desk toward its back (the direction kua.js checks)
+
+import { center, rotatePoint, outline, midpoint, distance, rayHit } from './geometry.js';
+import { projectOnWall } from './openings.js';
+import { toWorld } from './units.js';
+
+// gap: how far (meters) the person's back may be from a wall that supports it
+const CHECKED = {
+  bed: { name: 'bed', seat: 'head', gap: 0.3 },
+  sofa: { name: 'sofa', seat: 'middle', gap: 0.3 },
+  desk: { name: 'desk', seat: 'chair', gap: 0.6 },
+};
+
+const VIEW_HALF_ANGLE = 75; // degrees either side of straight ahead still counts as seeing the door
+const CHAIR_OFFSET = 0.45;  // meters from a desk's front edge to the sitter
+const PENALTY = { view: 40, inLine: 35, wall: 25 };
+
+// Score every bed, desk and sofa out of 100:
+// [{ item, index, eye, door, target, seesDoor, blocked, inLine, wallBehind, score, issues }]
+// `door` is null when the plan has none; the other checks still run.
+export function analyzeCommanding(furniture, walls, doors, windows, units) {
+  const results = [];
+  furniture.forEach((item, index) => {
+    const kind = CHECKED[item.type];
+    if (!kind) return;
+    const { eye, gaze, back } = viewpoint(item, kind, units);
+
+    // The nearest door in view of the seat, else the nearest door at all
+    const byDistance = doors
+      .map(door => ({ door, target: midpoint(door) }))
+      .sort((a, b) => distance(eye, a.target) - distance(eye, b.target));
+    const visible = byDistance.find(d => !wallBetween(eye, d.target, walls, d.door.wallId));
+    const { door = null, target = null } = visible || byDistance[0] || {};
+
+    const issues = [];
+    let score = 100;
+    let seesDoor = false;
+    let blocked = false;
+    let inLine = false;
+    if (door) {
+      blocked = !visible;
+      const angle = angleBetween(gaze, { x: target.x - eye.x, y: target.y - eye.y });
+      seesDoor = !blocked && angle <= VIEW_HALF_ANGLE;
+      inLine = !blocked && inDoorLine(item, door);
+      if (!seesDoor) {
+        score -= PENALTY.view;
+        issues.push(blocked
+          ? `A wall blocks the view from the ${kind.name} to the door`
+          : `The door is ${angle > 120 ? 'behind' : 'beside'} you — turn the ${kind.name} so you can see who comes in`);
+      }
+      if (inLine) {
+        score -= PENALTY.inLine;
+        issues.push(item.type === 'bed'
+          ? 'The bed is in direct line with the door (the coffin position) — move it off the door\'s axis'
+          : `The ${kind.name} is in direct line with the door — qi rushes straight at it; sit diagonally across from the door instead`);
+      }
+    } else {
+      issues.push('Add a door to check the view to it');
+    }
+
+    const wallBehind = solidWallBehind(back, { x: -gaze.x, y: -gaze.y }, toWorld(kind.gap, units), walls, [...doors, ...windows]);
+    if (!wallBehind) {
+      score -= PENALTY.wall;
+      issues.push(`No solid wall behind the ${kind.name} — a wall at your back gives support`);
+    }
+
+    results.push({ item, index, eye, door, target, seesDoor, blocked, inLine, wallBehind, score, issues });
+  });
+  return results;
+}
+
+// Where the person sits, which way they look and the point their back is at
+function viewpoint(f, kind, units) {
+  const c = center(f);
+  const rotation = f.rotation || 0;
+  const front = rotatePoint(0, 1, 0, 0, rotation);
+  const at = (dy) => rotatePoint(c.x, c.y + dy, c.x, c.y, rotation);
+  if (kind.seat === 'chair') {
+    const eye = at(f.height / 2 + toWorld(CHAIR_OFFSET, units));
+    return { eye, gaze: { x: -front.x, y: -front.y }, back: eye };
+  }
+  const back = at(-f.height / 2);
+  const eye = kind.seat === 'head' ? at(-f.height * 0.35) : c;
+  return { eye, gaze: front, back };
+}
+
+// Does a ray from `from` in direction `dir` meet a wall within `gap`, at a
+// spot not taken by a door or window?
+function solidWallBehind(from, dir, gap, walls, openings) {
+  let nearest = null;
+  for (const w of walls) {
+    const t = rayHit(from, dir, w);
+    if (t !== null && t <= gap && (!nearest || t < nearest.t)) nearest = { t, wall: w };
+  }
+  if (!nearest) return false;
+  const hit = { x: from.x + dir.x * nearest.t, y: from.y + dir.y * nearest.t };
+  return !openings.some(o => projectOnWall(o, hit.x, hit.y).dist < 1);
+}
+
+// Is there a wall (other than the door's own) crossing the segment a → b?
+function wallBetween(a, b, walls, ignoreId) {
+  const d = { x: b.x - a.x, y: b.y - a.y };
+  return walls.some(w => w.id !== ignoreId && (rayHit(a, d, w) ?? 2) < 0.999);
+}
+
+// Does the footprint overlap the strip straight in from the door opening?
+function inDoorLine(f, door) {
+  const len = Math.hypot(door.x2 - door.x1, door.y2 - door.y1);
+  if (len === 0) return false;
+  const u = { x: (door.x2 - door.x1) / len, y: (door.y2 - door.y1) / len };
+  const m = midpoint(door);
+  const lateral = outline(f, 16).map(p => (p.x - m.x) * u.x + (p.y - m.y) * u.y);
+  return Math.min(...lateral) <= len / 2 && Math.max(...lateral) >= -len / 2;
+}
+
+function angleBetween(a, b) {
+  const cos = (a.x * b.x + a.y * b.y) / (Math.hypot(a.x, a.y) * Math.hypot(b.x, b.y) || 1);
+  return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+
+// Sight lines from each seat to its door, in world coordinates. `zoom`
+// keeps line widths in screen pixels.
+export function renderSightLines(ctx, results, zoom = 1) {
+  ctx.save();
+  for (const r of results) {
+    const color = r.inLine || r.blocked ? '#ff6655' : r.seesDoor ? '#4ade80' : '#f5b942';
+    if (r.target) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5 / zoom;
+      ctx.setLineDash([6 / zoom, 4 / zoom]);
+      ctx.beginPath();
+      ctx.moveTo(r.eye.x, r.eye.y);
+      ctx.lineTo(r.target.x, r.target.y);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(r.eye.x, r.eye.y, 4 / zoom, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
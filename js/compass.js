@@ -0,0 +1,149 @@
+// Compass School — eight compass sectors (Later Heaven bagua) and Flying Stars
+// Bearings are compass degrees, clockwise from north. The plan is tied to the
+// compass by `north`: where north points on the plan, in degrees clockwise
+// from straight up the screen. The bearing the main entrance faces follows
+// from it (BaguaMap.facingBearing).
+//
+// A Flying Star chart puts four stars (1–9) in each of the nine Lo Shu
+// palaces: the period (base) star, the mountain (sitting) star, the water
+// (facing) star and the annual star for the chosen year.
+
+// Later Heaven arrangement, clockwise from north
+export const SECTORS = [
+  { dir: 'N', bearing: 0, trigram: '☵', name: 'Kan', element: 'Water', palace: 1 },
+  { dir: 'NE', bearing: 45, trigram: '☶', name: 'Gen', element: 'Earth', palace: 8 },
+  { dir: 'E', bearing: 90, trigram: '☳', name: 'Zhen', element: 'Wood', palace: 3 },
+  { dir: 'SE', bearing: 135, trigram: '☴', name: 'Xun', element: 'Wood', palace: 4 },
+  { dir: 'S', bearing: 180, trigram: '☲', name: 'Li', element: 'Fire', palace: 9 },
+  { dir: 'SW', bearing: 225, trigram: '☷', name: 'Kun', element: 'Earth', palace: 2 },
+  { dir: 'W', bearing: 270, trigram: '☱', name: 'Dui', element: 'Metal', palace: 7 },
+  { dir: 'NW', bearing: 315, trigram: '☰', name: 'Qian', element: 'Metal', palace: 6 },
+];
+
+// Palaces row by row as a chart is drawn, south at the top as on a luo pan
+export const LO_SHU_LAYOUT = ['SE', 'S', 'SW', 'E', 'C', 'W', 'NE', 'N', 'NW'];
+
+// Stars fly through the palaces in this order: center, NW, W, NE, S, N, SW, E, SE
+const FLIGHT = ['C', 'NW', 'W', 'NE', 'S', 'N', 'SW', 'E', 'SE'];
+
+// Yin/yang of the three mountains (15° each) in every sector: cardinal
+// sectors run yang, yin, yin; corner sectors yin, yang, yang
+const CARDINAL_POLARITY = [1, -1, -1];
+const CORNER_POLARITY = [-1, 1, 1];
+
+const PERIOD_START = 1864; // period 1 began in 1864; each lasts 20 years
+
+export function defaultCompass(year = new Date().getFullYear()) {
+  return { school: 'western', north: 0, period: periodOf(year), year };
+}
+
+// Compass settings read from a file, with anything missing or out of range
+// replaced by its default
+export function normalizeCompass(compass) {
+  const c = compass && typeof compass === 'object' ? compass : {};
+  const year = Number.isInteger(c.year) && c.year >= PERIOD_START ? c.year : new Date().getFullYear();
+  return {
+    school: c.school === 'compass' ? 'compass' : 'western',
+    north: Number.isFinite(c.north) ? normalizeBearing(c.north) : 0,
+    period: Number.isInteger(c.period) && c.period >= 1 && c.period <= 9 ? c.period : periodOf(year),
+    year,
+  };
+}
+
+export function periodOf(year) {
+  return ((Math.floor((year - PERIOD_START) / 20) % 9) + 9) % 9 + 1;
+}
+
+// Star at the center of the annual chart (the new year starts at Li Chun in
+// early February; a plain year number is close enough for a layout tool)
+export function annualStar(year) {
+  return (((11 - year % 9) % 9) + 9) % 9 || 9;
+}
+
+export function normalizeBearing(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+// North arrow for the corner of the canvas, at (x, y) in screen pixels
+export function renderNorthArrow(ctx, x, y, north) {
+  const a = north * Math.PI / 180;
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.beginPath();
+  ctx.arc(0, 0, 18, 0, Math.PI * 2);
+  ctx.fillStyle = 'rgba(22, 33, 62, 0.8)';
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+  ctx.lineWidth = 1;
+  ctx.stroke();
+  ctx.rotate(a);
+  ctx.beginPath();
+  ctx.moveTo(0, -14);
+  ctx.lineTo(5, 4);
+  ctx.lineTo(0, 1);
+  ctx.lineTo(-5, 4);
+  ctx.closePath();
+  ctx.fillStyle = '#e94560';
+  ctx.fill();
+  ctx.rotate(-a);
+  ctx.fillStyle = '#e0e0f0';
+  ctx.font = 'bold 10px -apple-system, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('N', Math.sin(a) * 26, -Math.cos(a) * 26);
+  ctx.restore();
+}
+
+export function sectorOf(bearing) {
+  return SECTORS[Math.round(normalizeBearing(bearing) / 45) % 8];
+}
+
+// Which of the sector's three mountains (0, 1, 2) a bearing falls in
+function mountainIndex(bearing) {
+  const sector = sectorOf(bearing);
+  let offset = normalizeBearing(bearing) - sector.bearing;
+  if (offset > 180) offset -= 360;
+  return offset < -7.5 ? 0 : offset <= 7.5 ? 1 : 2;
+}
+
+function polarity(dir, index) {
+  return (dir.length === 1 ? CARDINAL_POLARITY : CORNER_POLARITY)[index];
+}
+
+// Fly `star` from the center; forward adds one per palace, backward subtracts
+function fly(star, forward) {
+  const chart = {};
+  FLIGHT.forEach((palace, i) => {
+    chart[palace] = ((star - 1 + (forward ? i : -i)) % 9 + 9) % 9 + 1;
+  });
+  return chart;
+}
+
+const HOME = Object.fromEntries(SECTORS.map(s => [s.palace, s.dir]));
+
+// Flying Star chart for a building facing `facing` degrees, built in `period`,
+// looked at in `year`. Returns { palaces: { C, N, ...: { base, mountain, water,
+// annual } }, facingDir, sittingDir }
+export function flyingStarChart(facing, period, year) {
+  const facingDir = sectorOf(facing).dir;
+  const sittingDir = sectorOf(facing + 180).dir;
+  const index = mountainIndex(facing); // the sitting mountain has the same index
+  const base = fly(period, true);
+
+  // A star flies forward when the matching mountain of its home sector is
+  // yang. The 5 has no home sector and follows the mountain it sits in.
+  const flyFrom = (dir) => {
+    const star = base[dir];
+    const homeDir = star === 5 ? dir : HOME[star];
+    return fly(star, polarity(homeDir, index) > 0);
+  };
+  const water = flyFrom(facingDir);
+  const mountain = flyFrom(sittingDir);
+  const annual = fly(annualStar(year), true);
+
+  const palaces = {};
+  for (const p of FLIGHT) {
+    palaces[p] = { base: base[p], mountain: mountain[p], water: water[p], annual: annual[p] };
+  }
+  return { palaces, facingDir, sittingDir };
+}
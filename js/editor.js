@@ -2,6 +2,23 @@
 // Manages all the "objects" in the floor plan
 
 import { createFurnitureInstance } from './furniture.js';
+import { defaultUnits, formatLength, gridStep, DEFAULT_UNITS_PER_METER } from './units.js';
+import { defaultCompass } from './compass.js';
+import {
+  newId, ensureWallIds, findHostWall, projectOnWall, createOpening, placeOpening, fitOnWall,
+  updateOpenings, rehostOpenings, attachOpenings, wallSpans, doorSwing,
+} from './openings.js';
+import {
+  center, containsPoint, rotatePoint, normalizeAngle, isRound, localOutline, outline,
+} from './geometry.js';
+
+const SNAP_RADIUS = 10;  // world units — snap new points to nearby wall joints
+const JOINT_EPSILON = 0.5; // endpoints closer than this count as joined
+const HOST_RADIUS = 12;  // world units — how close to a wall a door/window click must be
+const PASTE_OFFSET = 2;  // grid steps between a copy and its original
+const ROTATE_HANDLE = 16; // world units between a piece's back edge and its rotation handle
+const ROTATE_SNAP = 15;   // degrees; hold Shift while rotating for free angles
+const MIN_FURNITURE_SIZE = 4; // world units
 
 export class Editor {
   constructor() {
@@ -11,64 +28,104 @@ export class Editor {
     this.windows = [];
     this.furniture = [];
     this.backgroundImage = null;
+    this.backgroundBlob = null; // original file, kept for local storage
     this.backgroundOpacity = 0.3;
+    this.units = defaultUnits(); // plan scale and display unit system
+    this.compass = defaultCompass(); // bagua school, plan north and Flying Star settings
+    this.occupants = []; // [{ id, name, birthYear, gender }] — see kua.js
 
     // Drawing state
     this.currentTool = 'select';
     this.wallStart = null;     // {x, y} for wall being drawn
-    this.selectedItem = null;  // { type: 'wall'|'door'|'window'|'furniture', index }
-    this.dragOffset = null;
-    this.isDragging = false;
+    this.selection = [];       // [{ type: 'wall'|'door'|'window'|'furniture', index }]
+    this.drag = null;          // active select-tool drag, see _handleSelect
+    this.snapTarget = null;    // {x, y, kind: 'endpoint'|'midpoint'} under the cursor
+    this.openingPreview = null; // door/window outline under the cursor while placing
 
     // Furniture placement
     this.pendingFurnitureType = null;
 
+    // Copy/paste
+    this.clipboard = null;     // scene data from copySelection()
+    this.pasteCount = 0;
+
     // Undo/redo
     this.undoStack = [];
     this.redoStack = [];
+
+    // Called after anything that changes the scene (used for autosave)
+    this.onChange = null;
+    // Bumped on every scene change, drag steps included, so views can cache
+    this.revision = 0;
   }
 
-  saveState() {
-    this.undoStack.push({
+  // The selected item when exactly one is selected, else null.
+  // Assigning replaces the whole selection.
+  get selectedItem() {
+    return this.selection.length === 1 ? this.selection[0] : null;
+  }
+
+  set selectedItem(item) {
+    this.selection = item ? [item] : [];
+  }
+
+  _notifyChange() {
+    this.revision++;
+    if (this.onChange) this.onChange();
+  }
+
+  // Deep copy of the scene arrays — used for undo/redo and saving
+  _snapshot() {
+    return {
       walls: JSON.parse(JSON.stringify(this.walls)),
       doors: JSON.parse(JSON.stringify(this.doors)),
       windows: JSON.parse(JSON.stringify(this.windows)),
       furniture: JSON.parse(JSON.stringify(this.furniture)),
-    });
+      units: { ...this.units },
+      compass: { ...this.compass },
+      occupants: this.occupants.map(o => ({ ...o })),
+    };
+  }
+
+  _restore(state) {
+    this.walls = state.walls;
+    this.doors = state.doors;
+    this.windows = state.windows;
+    this.furniture = state.furniture;
+    if (state.units) this.units = state.units;
+    if (state.compass) this.compass = state.compass;
+    if (state.occupants) this.occupants = state.occupants;
+    this._pruneSelection();
+  }
+
+  // Drop selection entries that no longer point at anything
+  _pruneSelection() {
+    const lists = { wall: this.walls, door: this.doors, window: this.windows, furniture: this.furniture };
+    this.selection = this.selection.filter(s => s.index < lists[s.type].length);
+  }
+
+  saveState() {
+    this.undoStack.push(this._snapshot());
     this.redoStack = [];
     // Limit stack size
     if (this.undoStack.length > 50) this.undoStack.shift();
+    // Listeners are expected to defer their work — the edit happens after this
+    this._notifyChange();
   }
 
   undo() {
     if (this.undoStack.length === 0) return false;
-    this.redoStack.push({
-      walls: JSON.parse(JSON.stringify(this.walls)),
-      doors: JSON.parse(JSON.stringify(this.doors)),
-      windows: JSON.parse(JSON.stringify(this.windows)),
-      furniture: JSON.parse(JSON.stringify(this.furniture)),
-    });
-    const state = this.undoStack.pop();
-    this.walls = state.walls;
-    this.doors = state.doors;
-    this.windows = state.windows;
-    this.furniture = state.furniture;
+    this.redoStack.push(this._snapshot());
+    this._restore(this.undoStack.pop());
+    this._notifyChange();
     return true;
   }
 
   redo() {
     if (this.redoStack.length === 0) return false;
-    this.undoStack.push({
-      walls: JSON.parse(JSON.stringify(this.walls)),
-      doors: JSON.parse(JSON.stringify(this.doors)),
-      windows: JSON.parse(JSON.stringify(this.windows)),
-      furniture: JSON.parse(JSON.stringify(this.furniture)),
-    });
-    const state = this.redoStack.pop();
-    this.walls = state.walls;
-    this.doors = state.doors;
-    this.windows = state.windows;
-    this.furniture = state.furniture;
+    this.undoStack.push(this._snapshot());
+    this._restore(this.redoStack.pop());
+    this._notifyChange();
     return true;
   }
 
@@ -81,13 +138,15 @@ export class Editor {
     this.wallStart = null;
     this.selectedItem = null;
     this.backgroundImage = null;
+    this.backgroundBlob = null;
   }
 
   setTool(tool) {
     this.currentTool = tool;
     this.wallStart = null;
     this.selectedItem = null;
-    this.isDragging = false;
+    this.drag = null;
+    this.openingPreview = null;
     if (tool !== 'furniture') {
       this.pendingFurnitureType = null;
     }
@@ -95,16 +154,147 @@ export class Editor {
 
   loadTemplate(template) {
     this.saveState();
-    this.walls = [...template.walls];
-    this.doors = [...template.doors];
-    this.windows = [...template.windows];
+    // Template openings are plain segments lying on the walls
+    const scene = attachOpenings(template);
+    this.walls = scene.walls;
+    this.doors = scene.doors;
+    this.windows = scene.windows;
     this.furniture = template.furniture ? template.furniture.map(f => ({ ...f })) : [];
+    // Templates are drawn at the default scale
+    this.units = { ...this.units, unitsPerMeter: DEFAULT_UNITS_PER_METER };
+    this.wallStart = null;
+    this.selectedItem = null;
+  }
+
+  // props: { school, north, period, year } — see compass.js
+  setCompass(props) {
+    this.saveState();
+    this.compass = { ...this.compass, ...props };
+  }
+
+  addOccupant(name, birthYear, gender) {
+    this.saveState();
+    this.occupants = [...this.occupants, { id: newId('p'), name, birthYear, gender }];
+  }
+
+  removeOccupant(id) {
+    this.saveState();
+    this.occupants = this.occupants.filter(o => o.id !== id);
+  }
+
+  setUnitSystem(system) {
+    if (system === this.units.system) return;
+    this.saveState();
+    this.units = { ...this.units, system };
+  }
+
+  // Set the scale from a measured line: worldLength units are `meters` long.
+  // Furniture keeps its real size, so it is rescaled about its center.
+  calibrate(worldLength, meters) {
+    if (!(worldLength > 0) || !(meters > 0)) return false;
+    this.saveState();
+    const unitsPerMeter = worldLength / meters;
+    const factor = unitsPerMeter / this.units.unitsPerMeter;
+    for (const f of this.furniture) {
+      const cx = f.x + f.width / 2;
+      const cy = f.y + f.height / 2;
+      f.width *= factor;
+      f.height *= factor;
+      f.x = cx - f.width / 2;
+      f.y = cy - f.height / 2;
+    }
+    this.units = { ...this.units, unitsPerMeter };
+    return true;
+  }
+
+  // --- Openings ---
+
+  openingsOf(kind) {
+    return kind === 'door' ? this.doors : this.windows;
+  }
+
+  // Keep openings on their walls after walls moved or were deleted
+  _updateOpenings() {
+    const count = this.doors.length + this.windows.length;
+    this.doors = updateOpenings(this.doors, this.walls);
+    this.windows = updateOpenings(this.windows, this.walls);
+    // Indices shift when openings are dropped, so forget selected ones
+    if (this.doors.length + this.windows.length !== count) {
+      this.selection = this.selection.filter(s => s.type !== 'door' && s.type !== 'window');
+    }
+  }
+
+  // Change a furniture instance's properties; size changes keep it centered
+  updateFurniture(index, props) {
+    const item = this.furniture[index];
+    if (!item) return false;
+    this.saveState();
+    const c = center(item);
+    Object.assign(item, props);
+    // Circles stay circles: whichever side was given sets both
+    if (item.shape === 'circle') {
+      const size = props.height !== undefined && props.width === undefined ? item.height : item.width;
+      item.width = size;
+      item.height = size;
+    }
+    item.x = c.x - item.width / 2;
+    item.y = c.y - item.height / 2;
+    return true;
+  }
+
+  // Change a door/window's width, hinge or swing (kind: 'door' | 'window')
+  updateOpening(kind, index, props) {
+    const opening = this.openingsOf(kind)[index];
+    if (!opening) return false;
+    this.saveState();
+    Object.assign(opening, props);
+    const wall = this.walls.find(w => w.id === opening.wallId);
+    if (wall) {
+      // An edited width is kept to what fits on the wall
+      Object.assign(opening, fitOnWall(opening, Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1)));
+      placeOpening(opening, wall);
+    }
+    return true;
+  }
+
+  // Mark a door as the main entrance, which the bagua map lines up with;
+  // null leaves the first door as the entrance
+  setMainDoor(index) {
+    this.saveState();
+    this.doors.forEach((d, i) => {
+      if (i === index) d.main = true;
+      else delete d.main;
+    });
+  }
+
+  // Plain-data copy of the scene for saving (background image excluded)
+  getScene() {
+    return this._snapshot();
+  }
+
+  // Replace the scene with saved data — undoable like loading a template
+  loadScene(scene) {
+    this.saveState();
+    this._restore(JSON.parse(JSON.stringify({
+      walls: scene.walls,
+      doors: scene.doors,
+      windows: scene.windows,
+      furniture: scene.furniture,
+      units: scene.units || defaultUnits(),
+      compass: scene.compass || defaultCompass(),
+      occupants: scene.occupants || [],
+    })));
+    ensureWallIds(this.walls);
+    this._updateOpenings();
     this.wallStart = null;
     this.selectedItem = null;
+    this.drag = null;
   }
 
-  setBackgroundImage(img) {
+  setBackgroundImage(img, blob = null) {
     this.backgroundImage = img;
+    this.backgroundBlob = img ? blob : null;
+    this._notifyChange();
   }
 
   // Get bounding box of all walls/objects for simulation
@@ -150,51 +340,43 @@ export class Editor {
 
   // --- Mouse event handlers ---
 
-  handleMouseDown(wx, wy, snappedX, snappedY) {
+  // modifiers: { shift } — Shift-click adds to the selection
+  handleMouseDown(wx, wy, snappedX, snappedY, modifiers = {}) {
     switch (this.currentTool) {
-      case 'wall':
+      case 'wall': {
+        const p = this.snapPoint(wx, wy, snappedX, snappedY);
         if (!this.wallStart) {
-          this.wallStart = { x: snappedX, y: snappedY };
-        } else {
+          this.wallStart = { x: p.x, y: p.y };
+        } else if (p.x !== this.wallStart.x || p.y !== this.wallStart.y) {
           this.saveState();
           this.walls.push({
+            id: newId('w'),
             x1: this.wallStart.x, y1: this.wallStart.y,
-            x2: snappedX, y2: snappedY,
+            x2: p.x, y2: p.y,
           });
-          this.wallStart = { x: snappedX, y: snappedY }; // chain walls
+          this.wallStart = { x: p.x, y: p.y }; // chain walls
         }
         return { action: 'wall_point' };
+      }
 
       case 'door':
-        if (!this.wallStart) {
-          this.wallStart = { x: snappedX, y: snappedY };
-        } else {
-          this.saveState();
-          this.doors.push({
-            x1: this.wallStart.x, y1: this.wallStart.y,
-            x2: snappedX, y2: snappedY,
-          });
-          this.wallStart = null;
-        }
-        return { action: 'door_point' };
-
-      case 'window':
-        if (!this.wallStart) {
-          this.wallStart = { x: snappedX, y: snappedY };
-        } else {
-          this.saveState();
-          this.windows.push({
-            x1: this.wallStart.x, y1: this.wallStart.y,
-            x2: snappedX, y2: snappedY,
-          });
-          this.wallStart = null;
-        }
-        return { action: 'window_point' };
+      case 'window': {
+        // Openings go onto the wall under the cursor, centered on the click
+        const host = findHostWall(this.walls, wx, wy, HOST_RADIUS);
+        if (!host) return { action: 'no_wall' };
+        this.saveState();
+        const along = projectOnWall(host.wall, snappedX, snappedY).along;
+        const opening = createOpening(this.currentTool, host.wall, along, this.units, this.walls);
+        const list = this.currentTool === 'door' ? this.doors : this.windows;
+        list.push(opening);
+        this.selectedItem = { type: this.currentTool, index: list.length - 1 };
+        return { action: `${this.currentTool}_placed`, item: this.selectedItem };
+      }
 
       case 'furniture':
         if (this.pendingFurnitureType) {
           this.saveState();
-          const item = createFurnitureInstance(this.pendingFurnitureType, snappedX, snappedY);
+          const item = createFurnitureInstance(this.pendingFurnitureType, snappedX, snappedY, this.units);
           if (item) {
             // Center on click point
             item.x = snappedX - item.width / 2;
@@ -205,8 +387,19 @@ export class Editor {
         }
         return { action: 'none' };
 
+      case 'calibrate':
+        // Unsnapped, so a line can be traced precisely on a background image
+        if (!this.wallStart) {
+          this.wallStart = { x: wx, y: wy };
+          return { action: 'calibrate_point' };
+        } else {
+          const length = Math.hypot(wx - this.wallStart.x, wy - this.wallStart.y);
+          this.wallStart = null;
+          return { action: 'calibrate_line', length };
+        }
+
       case 'select':
-        return this._handleSelect(wx, wy);
+        return this._handleSelect(wx, wy, snappedX, snappedY, modifiers);
 
       case 'erase':
         return this._handleErase(wx, wy);
@@ -214,120 +407,618 @@ export class Editor {
     return { action: 'none' };
   }
 
-  handleMouseMove(wx, wy) {
-    if (this.currentTool === 'select' && this.isDragging && this.selectedItem) {
-      const sel = this.selectedItem;
-      if (sel.type === 'furniture') {
-        const item = this.furniture[sel.index];
-        if (item && this.dragOffset) {
-          item.x = wx - this.dragOffset.x;
-          item.y = wy - this.dragOffset.y;
-          return true;
+  // modifiers: { shift } — Shift rotates freely instead of in 15° steps
+  handleMouseMove(wx, wy, snappedX = wx, snappedY = wy, modifiers = {}) {
+    this.snapTarget = null;
+    if (this.currentTool === 'calibrate') {
+      this.setPreviewPosition(wx, wy);
+      return false;
+    }
+    if (this.currentTool === 'wall') {
+      const p = this.snapPoint(wx, wy, snappedX, snappedY);
+      this.setPreviewPosition(p.x, p.y);
+      return false;
+    }
+    if (this.currentTool === 'door' || this.currentTool === 'window') {
+      const host = findHostWall(this.walls, wx, wy, HOST_RADIUS);
+      this.openingPreview = host ? createOpening(this.currentTool, host.wall,
+        projectOnWall(host.wall, snappedX, snappedY).along, this.units, this.walls) : null;
+      return false;
+    }
+
+    const drag = this.drag;
+    if (this.currentTool !== 'select' || !drag) return false;
+    if (drag.type === 'marquee') {
+      drag.endX = wx;
+      drag.endY = wy;
+      return true;
+    }
+    if (!drag.saved) {
+      if (wx === drag.startX && wy === drag.startY) return false;
+      this.saveState(); // first real movement — make the drag undoable
+      drag.saved = true;
+    }
+
+    if (drag.type === 'furniture') {
+      const item = this.furniture[drag.index];
+      item.x = wx - drag.offsetX;
+      item.y = wy - drag.offsetY;
+    } else if (drag.type === 'resize') {
+      this._resize(this.furniture[drag.index], drag, wx, wy);
+    } else if (drag.type === 'rotate') {
+      // The handle sits behind the piece, i.e. at -y when unrotated
+      const item = this.furniture[drag.index];
+      const c = center(item);
+      let angle = Math.atan2(wy - c.y, wx - c.x) * 180 / Math.PI + 90;
+      if (!modifiers.shift) angle = Math.round(angle / ROTATE_SNAP) * ROTATE_SNAP;
+      item.rotation = normalizeAngle(angle);
+    } else if (drag.type === 'opening') {
+      // Slide along the host wall
+      const opening = this.openingsOf(drag.kind)[drag.index];
+      const wall = this.walls.find(w => w.id === opening.wallId);
+      const { along, len } = projectOnWall(wall, snappedX, snappedY);
+      opening.offset = fitOnWall({ ...opening, offset: along - drag.grab }, len).offset;
+      placeOpening(opening, wall);
+    } else if (drag.type === 'endpoint') {
+      // Every endpoint in the joint moves together so connected walls stay joined
+      const p = this.snapPoint(wx, wy, snappedX, snappedY, drag.walls);
+      for (const { index, end } of drag.points) {
+        this.walls[index][`x${end}`] = p.x;
+        this.walls[index][`y${end}`] = p.y;
+      }
+    } else if (drag.type === 'wall' || drag.type === 'group') {
+      // Snapped deltas keep walls on the grid
+      const dx = snappedX - drag.startSnappedX;
+      const dy = snappedY - drag.startSnappedY;
+      for (const { index, end, x, y } of drag.points) {
+        this.walls[index][`x${end}`] = x + dx;
+        this.walls[index][`y${end}`] = y + dy;
+      }
+      if (drag.type === 'group') {
+        for (const { index, x, y } of drag.furniture) {
+          this.furniture[index].x = x + dx;
+          this.furniture[index].y = y + dy;
+        }
+        for (const { kind, index, offset } of drag.openings) {
+          const opening = this.openingsOf(kind)[index];
+          const wall = this.walls.find(w => w.id === opening.wallId);
+          const len = Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1) || 1;
+          const moved = offset + (dx * (wall.x2 - wall.x1) + dy * (wall.y2 - wall.y1)) / len;
+          opening.offset = fitOnWall({ ...opening, offset: moved }, len).offset;
         }
       }
     }
-    return false;
+    if (drag.type === 'wall' || drag.type === 'endpoint' || drag.type === 'group' || drag.type === 'opening') {
+      this._updateOpenings();
+    }
+    this.revision++;
+    return true;
   }
 
   handleMouseUp() {
-    if (this.isDragging && this.selectedItem) {
-      this.isDragging = false;
+    const drag = this.drag;
+    this.drag = null;
+    this.snapTarget = null;
+    if (drag?.type === 'marquee') {
+      if (drag.endX === undefined) return false;
+      const items = this._itemsInBox(drag.x, drag.y, drag.endX, drag.endY);
+      this.selection = drag.additive
+        ? [...this.selection, ...items.filter(i => !this.isSelected(i.type, i.index))]
+        : items;
+      return true;
+    }
+    if (drag && drag.saved) {
+      this._notifyChange();
       return true;
     }
     return false;
   }
 
-  handleDoubleClick() {
+  handleDoubleClick(wx, wy, snappedX = wx, snappedY = wy) {
     // Finish wall chain
     if (this.currentTool === 'wall' && this.wallStart) {
       this.wallStart = null;
       return true;
     }
+    // Split the wall under the cursor
+    if (this.currentTool === 'select') {
+      for (let i = this.walls.length - 1; i >= 0; i--) {
+        if (this._nearLine(wx, wy, this.walls[i], 8)) {
+          // Prefer the grid point, but only if it lands inside the wall
+          return this.splitWall(i, snappedX, snappedY) || this.splitWall(i, wx, wy);
+        }
+      }
+    }
     return false;
   }
 
+  // --- Wall editing ---
+
+  // Snap a point to a nearby wall endpoint or midpoint, else to the grid.
+  // Walls listed in `exclude` (indices) are ignored — e.g. the ones being dragged.
+  snapPoint(wx, wy, gridX, gridY, exclude = []) {
+    let best = null;
+    let bestDist = SNAP_RADIUS;
+    const consider = (x, y, kind) => {
+      const d = Math.hypot(wx - x, wy - y);
+      if (d < bestDist) {
+        best = { x, y, kind };
+        bestDist = d;
+      }
+    };
+    // Midpoints first so an equally close endpoint replaces them
+    for (let i = 0; i < this.walls.length; i++) {
+      if (exclude.includes(i)) continue;
+      const w = this.walls[i];
+      consider((w.x1 + w.x2) / 2, (w.y1 + w.y2) / 2, 'midpoint');
+    }
+    bestDist += 0.01;
+    for (let i = 0; i < this.walls.length; i++) {
+      if (exclude.includes(i)) continue;
+      const w = this.walls[i];
+      consider(w.x1, w.y1, 'endpoint');
+      consider(w.x2, w.y2, 'endpoint');
+    }
+    this.snapTarget = best;
+    return best ? { x: best.x, y: best.y } : { x: gridX, y: gridY };
+  }
+
+  // All wall endpoints at (x, y): [{ index, end: 1|2 }]
+  _jointAt(x, y, walls = this.walls) {
+    const points = [];
+    walls.forEach((w, index) => {
+      if (Math.hypot(w.x1 - x, w.y1 - y) < JOINT_EPSILON) points.push({ index, end: 1 });
+      if (Math.hypot(w.x2 - x, w.y2 - y) < JOINT_EPSILON) points.push({ index, end: 2 });
+    });
+    return points;
+  }
+
+  // Split a wall in two at the point's projection onto it
+  splitWall(index, x, y) {
+    const w = this.walls[index];
+    const dx = w.x2 - w.x1;
+    const dy = w.y2 - w.y1;
+    const len = Math.hypot(dx, dy);
+    if (len === 0) return false;
+    const t = ((x - w.x1) * dx + (y - w.y1) * dy) / (len * len);
+    // Both halves must be at least a couple of units long
+    if (t * len < 2 || (1 - t) * len < 2) return false;
+
+    const px = w.x1 + t * dx;
+    const py = w.y1 + t * dy;
+    this.saveState();
+    const halves = [{ ...w, x2: px, y2: py }, { ...w, id: newId('w'), x1: px, y1: py }];
+    this.walls.splice(index, 1, ...halves);
+    rehostOpenings(this.doors, [w.id], halves);
+    rehostOpenings(this.windows, [w.id], halves);
+    this._updateOpenings();
+    this.selectedItem = { type: 'wall', index };
+    return true;
+  }
+
+  // Merge a wall with collinear walls that continue it through a plain
+  // two-wall joint (T-junctions and corners are left alone)
+  mergeWall(index) {
+    const walls = this._snapshot().walls;
+    let current = index;
+    const mergedIds = [walls[index].id];
+
+    for (;;) {
+      const next = this._collinearNeighbor(walls, current);
+      if (!next) break;
+      const w = walls[current];
+      const o = walls[next.index];
+      // The merged wall runs to the neighbor's far end
+      const farEnd = next.end === 1 ? 2 : 1;
+      w[`x${next.atEnd}`] = o[`x${farEnd}`];
+      w[`y${next.atEnd}`] = o[`y${farEnd}`];
+      mergedIds.push(o.id);
+      walls.splice(next.index, 1);
+      if (next.index < current) current--;
+    }
+
+    if (mergedIds.length === 1) return false;
+    this.saveState();
+    this.walls = walls;
+    // Openings keep their place on the combined wall
+    rehostOpenings(this.doors, mergedIds, [walls[current]]);
+    rehostOpenings(this.windows, mergedIds, [walls[current]]);
+    this._updateOpenings();
+    this.selectedItem = { type: 'wall', index: current };
+    return true;
+  }
+
+  // A wall continuing walls[index] in a straight line from one of its ends:
+  // { index, end, atEnd } where `end` is the neighbor's end at the joint
+  _collinearNeighbor(walls, index) {
+    const w = walls[index];
+    const len = Math.hypot(w.x2 - w.x1, w.y2 - w.y1);
+    if (len === 0) return null;
+    for (const atEnd of [1, 2]) {
+      const joined = this._jointAt(w[`x${atEnd}`], w[`y${atEnd}`], walls)
+        .filter(p => p.index !== index);
+      if (joined.length !== 1) continue;
+
+      const o = walls[joined[0].index];
+      const olen = Math.hypot(o.x2 - o.x1, o.y2 - o.y1);
+      if (olen === 0) continue;
+      // Parallel and sharing a joint means collinear
+      const cross = ((w.x2 - w.x1) * (o.y2 - o.y1) - (w.y2 - w.y1) * (o.x2 - o.x1)) / (len * olen);
+      if (Math.abs(cross) < 0.01) return { ...joined[0], atEnd };
+    }
+    return null;
+  }
+
   handleKeyDown(key) {
     if (key === 'Escape') {
       this.wallStart = null;
       this.selectedItem = null;
-      this.isDragging = false;
+      this.drag = null;
       return true;
     }
     if (key === 'Delete' || key === 'Backspace') {
-      if (this.selectedItem) {
-        this.saveState();
-        const sel = this.selectedItem;
-        if (sel.type === 'wall') this.walls.splice(sel.index, 1);
-        else if (sel.type === 'door') this.doors.splice(sel.index, 1);
-        else if (sel.type === 'window') this.windows.splice(sel.index, 1);
-        else if (sel.type === 'furniture') this.furniture.splice(sel.index, 1);
-        this.selectedItem = null;
-        return true;
+      return this.deleteSelection();
+    }
+    // Merge the selected wall with collinear neighbors
+    if (key === 'j' || key === 'J') {
+      if (this.selectedItem && this.selectedItem.type === 'wall') {
+        return this.mergeWall(this.selectedItem.index);
       }
     }
-    // Rotate furniture
+    // Rotate the selected furniture a quarter turn about each piece's center
     if (key === 'r' || key === 'R') {
-      if (this.selectedItem && this.selectedItem.type === 'furniture') {
+      const items = this.selection.filter(s => s.type === 'furniture');
+      if (items.length > 0) {
         this.saveState();
-        const item = this.furniture[this.selectedItem.index];
-        if (item) {
-          // Swap width/height for 90-degree rotation
-          const tmp = item.width;
-          item.width = item.height;
-          item.height = tmp;
-          item.rotation = ((item.rotation || 0) + 90) % 360;
-          return true;
+        for (const s of items) {
+          const item = this.furniture[s.index];
+          item.rotation = normalizeAngle((item.rotation || 0) + 90);
         }
+        return true;
       }
     }
     return false;
   }
 
-  _handleSelect(wx, wy) {
-    // Check furniture first (topmost)
-    for (let i = this.furniture.length - 1; i >= 0; i--) {
-      const f = this.furniture[i];
-      if (wx >= f.x && wx <= f.x + f.width && wy >= f.y && wy <= f.y + f.height) {
-        this.selectedItem = { type: 'furniture', index: i };
-        this.dragOffset = { x: wx - f.x, y: wy - f.y };
-        this.isDragging = true;
-        return { action: 'selected', item: this.selectedItem };
+  _handleSelect(wx, wy, snappedX = wx, snappedY = wy, { shift = false } = {}) {
+    const startDrag = (props) => {
+      this.drag = { startX: wx, startY: wy, saved: false, ...props };
+    };
+
+    // The selected piece's rotation handle
+    const selItem = this.selectedItem?.type === 'furniture' ? this.furniture[this.selectedItem.index] : null;
+    if (selItem && !shift) {
+      const h = this._rotationHandle(selItem);
+      if (Math.hypot(wx - h.x, wy - h.y) < 8) {
+        startDrag({ type: 'rotate', index: this.selectedItem.index });
+        return { action: 'rotating', item: this.selectedItem };
+      }
+      for (const handle of this._resizeHandles(selItem)) {
+        if (Math.hypot(wx - handle.x, wy - handle.y) < 6) {
+          const { x, y, width, height, rotation = 0 } = selItem;
+          startDrag({ type: 'resize', index: this.selectedItem.index, sx: handle.sx, sy: handle.sy,
+            start: { x, y, width, height, rotation } });
+          return { action: 'resizing', item: this.selectedItem };
+        }
       }
     }
 
-    // Check doors
-    for (let i = this.doors.length - 1; i >= 0; i--) {
-      if (this._nearLine(wx, wy, this.doors[i], 8)) {
-        this.selectedItem = { type: 'door', index: i };
-        return { action: 'selected', item: this.selectedItem };
+    // Endpoints of the selected wall take priority so its handles can be grabbed
+    const selWall = this.selectedItem?.type === 'wall' ? this.walls[this.selectedItem.index] : null;
+    if (selWall && !shift) {
+      for (const end of [1, 2]) {
+        const x = selWall[`x${end}`];
+        const y = selWall[`y${end}`];
+        if (Math.hypot(wx - x, wy - y) < 8) {
+          const points = this._jointAt(x, y);
+          startDrag({ type: 'endpoint', points, walls: points.map(p => p.index) });
+          return { action: 'selected', item: this.selectedItem };
+        }
       }
     }
 
-    // Check windows
-    for (let i = this.windows.length - 1; i >= 0; i--) {
-      if (this._nearLine(wx, wy, this.windows[i], 8)) {
-        this.selectedItem = { type: 'window', index: i };
-        return { action: 'selected', item: this.selectedItem };
+    const hit = this._hitTest(wx, wy);
+
+    // Empty space: box selection (Shift adds to the current selection)
+    if (!hit) {
+      if (!shift) this.selection = [];
+      startDrag({ type: 'marquee', additive: shift, x: wx, y: wy });
+      return { action: shift ? 'none' : 'deselected' };
+    }
+
+    const items = this._withGroup(hit);
+    if (shift) {
+      // Toggle the item (and its group) in the selection
+      if (this.isSelected(hit.type, hit.index)) {
+        this.selection = this.selection.filter(s => !items.some(i => i.type === s.type && i.index === s.index));
+      } else {
+        this.selection = [...this.selection, ...items.filter(i => !this.isSelected(i.type, i.index))];
       }
+      return { action: 'selected', item: hit };
     }
 
-    // Check walls
+    // Grabbing part of a multi-selection moves all of it
+    if (!this.isSelected(hit.type, hit.index)) this.selection = items;
+    if (this.selection.length > 1) {
+      startDrag({ type: 'group', ...this._groupDragState(), startSnappedX: snappedX, startSnappedY: snappedY });
+      return { action: 'selected', item: hit };
+    }
+
+    if (hit.type === 'furniture') {
+      const f = this.furniture[hit.index];
+      startDrag({ type: 'furniture', index: hit.index, offsetX: wx - f.x, offsetY: wy - f.y });
+    } else if (hit.type === 'door' || hit.type === 'window') {
+      // Hosted openings slide along their wall
+      const o = this.openingsOf(hit.type)[hit.index];
+      const wall = this.walls.find(w => w.id === o.wallId);
+      if (wall) {
+        // Measured from where the opening is drawn, which may be squeezed in
+        const { along, len } = projectOnWall(wall, snappedX, snappedY);
+        const grab = along - fitOnWall(o, len).offset;
+        startDrag({ type: 'opening', kind: hit.type, index: hit.index, grab });
+      }
+    } else if (hit.type === 'wall') {
+      // Dragging the body moves the wall along with its joints
+      const w = this.walls[hit.index];
+      startDrag({ type: 'wall', points: this._jointPoints([w]), startSnappedX: snappedX, startSnappedY: snappedY });
+    }
+    return { action: 'selected', item: hit };
+  }
+
+  // Topmost item under a point: furniture, then doors, windows and walls
+  _hitTest(wx, wy) {
+    for (let i = this.furniture.length - 1; i >= 0; i--) {
+      if (containsPoint(this.furniture[i], wx, wy)) return { type: 'furniture', index: i };
+    }
+    for (const kind of ['door', 'window']) {
+      const list = this.openingsOf(kind);
+      for (let i = list.length - 1; i >= 0; i--) {
+        if (this._nearLine(wx, wy, list[i], 8)) return { type: kind, index: i };
+      }
+    }
     for (let i = this.walls.length - 1; i >= 0; i--) {
-      if (this._nearLine(wx, wy, this.walls[i], 8)) {
-        this.selectedItem = { type: 'wall', index: i };
-        return { action: 'selected', item: this.selectedItem };
+      if (this._nearLine(wx, wy, this.walls[i], 8)) return { type: 'wall', index: i };
+    }
+    return null;
+  }
+
+  // Rotation handle position, behind the piece's back edge
+  _rotationHandle(f) {
+    const c = center(f);
+    return rotatePoint(c.x, f.y - ROTATE_HANDLE, c.x, c.y, f.rotation || 0);
+  }
+
+  // Corner and edge handles of a piece; sx/sy (-1, 0, 1) say which sides they move
+  _resizeHandles(f) {
+    const c = center(f);
+    const handles = [];
+    for (const sy of [-1, 0, 1]) {
+      for (const sx of [-1, 0, 1]) {
+        if (sx === 0 && sy === 0) continue;
+        const p = rotatePoint(c.x + sx * f.width / 2, c.y + sy * f.height / 2, c.x, c.y, f.rotation || 0);
+        handles.push({ sx, sy, x: p.x, y: p.y });
       }
     }
+    return handles;
+  }
 
-    this.selectedItem = null;
-    return { action: 'deselected' };
+  // Resize so the dragged handle follows the pointer while the opposite
+  // side stays put, all in the piece's own (rotated) frame
+  _resize(item, drag, wx, wy) {
+    const s = drag.start;
+    const c = center(s);
+    const p = rotatePoint(wx, wy, c.x, c.y, -s.rotation);
+    // Fixed side, relative to the original center
+    const ax = -drag.sx * s.width / 2;
+    const ay = -drag.sy * s.height / 2;
+    let width = drag.sx ? Math.max(MIN_FURNITURE_SIZE, drag.sx * (p.x - c.x - ax)) : s.width;
+    let height = drag.sy ? Math.max(MIN_FURNITURE_SIZE, drag.sy * (p.y - c.y - ay)) : s.height;
+    if (s.shape === 'circle') {
+      // Any handle scales a circle evenly
+      const size = drag.sx && drag.sy ? Math.max(width, height) : drag.sx ? width : height;
+      width = size;
+      height = size;
+    }
+    const local = {
+      x: drag.sx ? ax + drag.sx * width / 2 : 0,
+      y: drag.sy ? ay + drag.sy * height / 2 : 0,
+    };
+    const nc = rotatePoint(c.x + local.x, c.y + local.y, c.x, c.y, s.rotation);
+    item.width = width;
+    item.height = height;
+    item.x = nc.x - width / 2;
+    item.y = nc.y - height / 2;
+  }
+
+  // Every wall endpoint joined to the given walls' ends, with its position
+  _jointPoints(walls) {
+    const seen = new Set();
+    const points = [];
+    for (const w of walls) {
+      for (const p of [...this._jointAt(w.x1, w.y1), ...this._jointAt(w.x2, w.y2)]) {
+        const key = `${p.index}:${p.end}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        points.push({ ...p, x: this.walls[p.index][`x${p.end}`], y: this.walls[p.index][`y${p.end}`] });
+      }
+    }
+    return points;
+  }
+
+  // Start positions of everything a group drag moves. Openings move with
+  // their wall; selected ones on unselected walls slide along them instead.
+  _groupDragState() {
+    const selected = (type) => this.selection.filter(s => s.type === type).map(s => s.index);
+    const walls = selected('wall').map(i => this.walls[i]);
+    const wallIds = new Set(walls.map(w => w.id));
+    const openings = [];
+    for (const kind of ['door', 'window']) {
+      for (const index of selected(kind)) {
+        const o = this.openingsOf(kind)[index];
+        if (o.wallId && !wallIds.has(o.wallId)) openings.push({ kind, index, offset: o.offset });
+      }
+    }
+    return {
+      furniture: selected('furniture').map(index => ({ index, x: this.furniture[index].x, y: this.furniture[index].y })),
+      points: this._jointPoints(walls),
+      openings,
+    };
+  }
+
+  // --- Selection ---
+
+  isSelected(type, index) {
+    return this.selection.some(s => s.type === type && s.index === index);
+  }
+
+  // An item plus the other members of its group
+  _withGroup(item) {
+    const groupId = item.type === 'furniture' ? this.furniture[item.index].groupId : null;
+    if (!groupId) return [item];
+    return this.furniture
+      .map((f, index) => ({ f, index }))
+      .filter(({ f }) => f.groupId === groupId)
+      .map(({ index }) => ({ type: 'furniture', index }));
+  }
+
+  // Items lying completely inside a rectangle, groups expanded
+  _itemsInBox(x1, y1, x2, y2) {
+    const minX = Math.min(x1, x2), maxX = Math.max(x1, x2);
+    const minY = Math.min(y1, y2), maxY = Math.max(y1, y2);
+    const inside = (x, y) => x >= minX && x <= maxX && y >= minY && y <= maxY;
+    const items = [];
+    this.walls.forEach((w, index) => {
+      if (inside(w.x1, w.y1) && inside(w.x2, w.y2)) items.push({ type: 'wall', index });
+    });
+    for (const kind of ['door', 'window']) {
+      this.openingsOf(kind).forEach((o, index) => {
+        if (inside(o.x1, o.y1) && inside(o.x2, o.y2)) items.push({ type: kind, index });
+      });
+    }
+    this.furniture.forEach((f, index) => {
+      if (outline(f).every(p => inside(p.x, p.y))) items.push(...this._withGroup({ type: 'furniture', index }));
+    });
+    return items;
+  }
+
+  selectAll() {
+    this.selection = [
+      ...this.walls.map((_, index) => ({ type: 'wall', index })),
+      ...this.doors.map((_, index) => ({ type: 'door', index })),
+      ...this.windows.map((_, index) => ({ type: 'window', index })),
+      ...this.furniture.map((_, index) => ({ type: 'furniture', index })),
+    ];
+  }
+
+  // Scene data for the selected items. Walls bring their doors and windows;
+  // openings selected without their wall are left out.
+  _collectSelection() {
+    const selected = (type) => this.selection.filter(s => s.type === type).map(s => s.index).sort((a, b) => a - b);
+    const walls = selected('wall').map(i => this.walls[i]);
+    const wallIds = new Set(walls.map(w => w.id));
+    const copy = (obj) => JSON.parse(JSON.stringify(obj));
+    return {
+      walls: copy(walls),
+      doors: copy(this.doors.filter(o => wallIds.has(o.wallId))),
+      windows: copy(this.windows.filter(o => wallIds.has(o.wallId))),
+      furniture: copy(selected('furniture').map(i => this.furniture[i])),
+    };
+  }
+
+  copySelection() {
+    const data = this._collectSelection();
+    if (data.walls.length === 0 && data.furniture.length === 0) return 0;
+    this.clipboard = data;
+    this.pasteCount = 0;
+    return data.walls.length + data.furniture.length;
+  }
+
+  // Each paste lands a bit further from the original
+  paste() {
+    if (!this.clipboard) return 0;
+    this.pasteCount++;
+    return this._insertCopy(this.clipboard, PASTE_OFFSET * this.pasteCount);
+  }
+
+  duplicateSelection() {
+    const data = this._collectSelection();
+    if (data.walls.length === 0 && data.furniture.length === 0) return 0;
+    return this._insertCopy(data, PASTE_OFFSET);
+  }
+
+  // Add copies of scene data (fresh ids) shifted by `offset` grid steps and select them
+  _insertCopy(data, offset) {
+    const d = offset * gridStep(this.units);
+    this.saveState();
+    const selection = [];
+    const wallIds = new Map();
+    for (const w of data.walls) {
+      const id = newId('w');
+      wallIds.set(w.id, id);
+      this.walls.push({ ...w, id, x1: w.x1 + d, y1: w.y1 + d, x2: w.x2 + d, y2: w.y2 + d });
+      selection.push({ type: 'wall', index: this.walls.length - 1 });
+    }
+    for (const kind of ['door', 'window']) {
+      const list = this.openingsOf(kind);
+      for (const o of data[`${kind}s`]) {
+        // Copies of the main door are ordinary doors
+        const { main, ...rest } = o;
+        list.push({ ...rest, id: newId(kind[0]), wallId: wallIds.get(o.wallId) });
+        selection.push({ type: kind, index: list.length - 1 });
+      }
+    }
+    // Pasted groups become new groups
+    const groupIds = new Map();
+    for (const f of data.furniture) {
+      const item = { ...f, id: Date.now() + Math.random(), x: f.x + d, y: f.y + d };
+      if (f.groupId) {
+        if (!groupIds.has(f.groupId)) groupIds.set(f.groupId, newId('g'));
+        item.groupId = groupIds.get(f.groupId);
+      }
+      this.furniture.push(item);
+      selection.push({ type: 'furniture', index: this.furniture.length - 1 });
+    }
+    this._updateOpenings();
+    this.selection = selection;
+    return data.walls.length + data.furniture.length;
+  }
+
+  // Group the selected furniture so it is selected and moved as one
+  groupSelection() {
+    const items = this.selection.filter(s => s.type === 'furniture');
+    if (items.length < 2) return false;
+    this.saveState();
+    const groupId = newId('g');
+    for (const s of items) this.furniture[s.index].groupId = groupId;
+    return true;
+  }
+
+  ungroupSelection() {
+    const items = this.selection.filter(s => s.type === 'furniture' && this.furniture[s.index].groupId);
+    if (items.length === 0) return false;
+    this.saveState();
+    for (const s of items) delete this.furniture[s.index].groupId;
+    return true;
+  }
+
+  // Remove every selected item; doors and windows go with their wall
+  deleteSelection() {
+    if (this.selection.length === 0) return false;
+    this.saveState();
+    for (const type of ['wall', 'door', 'window', 'furniture']) {
+      const list = type === 'wall' ? this.walls : type === 'furniture' ? this.furniture : this.openingsOf(type);
+      const indices = this.selection.filter(s => s.type === type).map(s => s.index).sort((a, b) => b - a);
+      for (const i of indices) list.splice(i, 1);
+    }
+    this.selection = [];
+    this._updateOpenings();
+    return true;
   }
 
   _handleErase(wx, wy) {
     // Check furniture
     for (let i = this.furniture.length - 1; i >= 0; i--) {
-      const f = this.furniture[i];
-      if (wx >= f.x && wx <= f.x + f.width && wy >= f.y && wy <= f.y + f.height) {
+      if (containsPoint(this.furniture[i], wx, wy)) {
         this.saveState();
         this.furniture.splice(i, 1);
         return { action: 'erased', type: 'furniture' };
@@ -357,6 +1048,7 @@ export class Editor {
       if (this._nearLine(wx, wy, this.walls[i], 8)) {
         this.saveState();
         this.walls.splice(i, 1);
+        this._updateOpenings();
         return { action: 'erased', type: 'wall' };
       }
     }
@@ -379,7 +1071,14 @@ export class Editor {
 
   // --- Rendering ---
 
-  render(ctx, canvasManager) {
+  // showSelection: false renders a clean plan (exports) without selection
+  // highlights or drawing previews
+  // showDimensions labels every wall with its real length
+  render(ctx, canvasManager, { showSelection = true, showDimensions = false } = {}) {
+    const sel = showSelection ? this.selectedItem : null;
+    const selected = (type, index) => showSelection && this.isSelected(type, index);
+    const zoom = canvasManager ? canvasManager.zoom : 1;
+
     // Background image
     if (this.backgroundImage) {
       ctx.globalAlpha = this.backgroundOpacity;
@@ -387,51 +1086,37 @@ export class Editor {
       ctx.globalAlpha = 1;
     }
 
-    // Walls
-    ctx.strokeStyle = '#aabbcc';
-    ctx.lineWidth = 4;
+    // Walls, with gaps where doors and windows sit
+    const openings = [...this.doors, ...this.windows];
     ctx.lineCap = 'round';
     for (let i = 0; i < this.walls.length; i++) {
-      const w = this.walls[i];
-      const selected = this.selectedItem?.type === 'wall' && this.selectedItem.index === i;
-      ctx.strokeStyle = selected ? '#e94560' : '#aabbcc';
-      ctx.lineWidth = selected ? 5 : 4;
-      ctx.beginPath();
-      ctx.moveTo(w.x1, w.y1);
-      ctx.lineTo(w.x2, w.y2);
-      ctx.stroke();
+      const isSel = selected('wall', i);
+      ctx.strokeStyle = isSel ? '#e94560' : '#aabbcc';
+      ctx.lineWidth = isSel ? 5 : 4;
+      for (const s of wallSpans(this.walls[i], openings)) {
+        ctx.beginPath();
+        ctx.moveTo(s.x1, s.y1);
+        ctx.lineTo(s.x2, s.y2);
+        ctx.stroke();
+      }
     }
 
     // Doors
     for (let i = 0; i < this.doors.length; i++) {
-      const d = this.doors[i];
-      const selected = this.selectedItem?.type === 'door' && this.selectedItem.index === i;
-      ctx.strokeStyle = selected ? '#e94560' : '#4ade80';
-      ctx.lineWidth = selected ? 5 : 6;
-      ctx.setLineDash([4, 4]);
-      ctx.beginPath();
-      ctx.moveTo(d.x1, d.y1);
-      ctx.lineTo(d.x2, d.y2);
-      ctx.stroke();
-      ctx.setLineDash([]);
-
-      // Door arc
-      const mx = (d.x1 + d.x2) / 2;
-      const my = (d.y1 + d.y2) / 2;
-      const len = Math.hypot(d.x2 - d.x1, d.y2 - d.y1) / 2;
-      ctx.beginPath();
-      ctx.strokeStyle = 'rgba(74, 222, 128, 0.3)';
-      ctx.lineWidth = 1.5;
-      ctx.arc(mx, my, len, 0, Math.PI, false);
-      ctx.stroke();
+      this._drawDoor(ctx, this.doors[i], selected('door', i) ? '#e94560' : '#4ade80');
+    }
+    if (showSelection && this.openingPreview && this.currentTool === 'door') {
+      ctx.globalAlpha = 0.5;
+      this._drawDoor(ctx, this.openingPreview, '#4ade80');
+      ctx.globalAlpha = 1;
     }
 
     // Windows
     for (let i = 0; i < this.windows.length; i++) {
       const w = this.windows[i];
-      const selected = this.selectedItem?.type === 'window' && this.selectedItem.index === i;
-      ctx.strokeStyle = selected ? '#e94560' : '#53d8fb';
-      ctx.lineWidth = selected ? 5 : 3;
+      const isSel = selected('window', i);
+      ctx.strokeStyle = isSel ? '#e94560' : '#53d8fb';
+      ctx.lineWidth = isSel ? 5 : 3;
       ctx.beginPath();
       ctx.moveTo(w.x1, w.y1);
       ctx.lineTo(w.x2, w.y2);
@@ -457,42 +1142,222 @@ export class Editor {
       }
     }
 
+    if (showSelection && this.openingPreview && this.currentTool === 'window') {
+      const w = this.openingPreview;
+      ctx.globalAlpha = 0.5;
+      ctx.strokeStyle = '#53d8fb';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(w.x1, w.y1);
+      ctx.lineTo(w.x2, w.y2);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
     // Furniture
     for (let i = 0; i < this.furniture.length; i++) {
       const f = this.furniture[i];
-      const selected = this.selectedItem?.type === 'furniture' && this.selectedItem.index === i;
+      const isSel = selected('furniture', i);
+
+      // Draw about the center so rotation turns the piece in place
+      const c = center(f);
+      ctx.save();
+      ctx.translate(c.x, c.y);
+      ctx.rotate((f.rotation || 0) * Math.PI / 180);
 
+      this._traceFootprint(ctx, f);
       ctx.fillStyle = f.color || '#666';
       ctx.globalAlpha = 0.7;
-      ctx.fillRect(f.x, f.y, f.width, f.height);
+      ctx.fill();
       ctx.globalAlpha = 1;
 
-      ctx.strokeStyle = selected ? '#e94560' : 'rgba(255,255,255,0.3)';
-      ctx.lineWidth = selected ? 2 : 1;
-      ctx.strokeRect(f.x, f.y, f.width, f.height);
+      ctx.strokeStyle = isSel ? '#e94560' : 'rgba(255,255,255,0.3)';
+      ctx.lineWidth = isSel ? 2 : 1;
+      ctx.stroke();
 
       // Label
       ctx.fillStyle = 'rgba(255,255,255,0.8)';
       ctx.font = '10px -apple-system, sans-serif';
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      ctx.fillText(f.label || f.type, f.x + f.width / 2, f.y + f.height / 2);
+      ctx.fillText(f.label || f.type, 0, 0);
+      ctx.restore();
+    }
+
+    // Rotation handle on the selected piece
+    if (sel?.type === 'furniture' && this.furniture[sel.index]) {
+      const f = this.furniture[sel.index];
+      const c = center(f);
+      const back = rotatePoint(c.x, f.y, c.x, c.y, f.rotation || 0);
+      const h = this._rotationHandle(f);
+      ctx.strokeStyle = '#e94560';
+      ctx.lineWidth = 1.5 / zoom;
+      ctx.beginPath();
+      ctx.moveTo(back.x, back.y);
+      ctx.lineTo(h.x, h.y);
+      ctx.stroke();
+      ctx.fillStyle = '#e94560';
+      ctx.beginPath();
+      ctx.arc(h.x, h.y, 5 / zoom, 0, Math.PI * 2);
+      ctx.fill();
+
+      // Resize handles
+      const size = 6 / zoom;
+      ctx.fillStyle = '#fff';
+      for (const p of this._resizeHandles(f)) {
+        ctx.fillRect(p.x - size / 2, p.y - size / 2, size, size);
+        ctx.strokeRect(p.x - size / 2, p.y - size / 2, size, size);
+      }
+      if (this.drag?.type === 'resize') {
+        ctx.fillStyle = '#fbbf24';
+        ctx.font = `${11 / zoom}px -apple-system, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${formatLength(f.width, this.units)} × ${formatLength(f.height, this.units)}`,
+          c.x, c.y + f.height / 2 + 14 / zoom);
+      }
+      ctx.fillStyle = '#e94560';
+      if (this.drag?.type === 'rotate') {
+        ctx.font = `${11 / zoom}px -apple-system, sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${Math.round(f.rotation || 0)}°`, h.x + 8 / zoom, h.y);
+      }
+    }
+
+    // Dimension annotations
+    if (showDimensions) {
+      for (const w of this.walls) {
+        this._drawLengthLabel(ctx, w.x1, w.y1, w.x2, w.y2, zoom);
+      }
+    }
+
+    // Endpoint handles on the selected wall
+    if (sel?.type === 'wall' && this.walls[sel.index]) {
+      const w = this.walls[sel.index];
+      ctx.fillStyle = '#e94560';
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 1.5 / zoom;
+      for (const [x, y] of [[w.x1, w.y1], [w.x2, w.y2]]) {
+        ctx.beginPath();
+        ctx.arc(x, y, 5 / zoom, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      }
+    }
+
+    // Box selection
+    const drag = this.drag;
+    if (showSelection && drag?.type === 'marquee' && drag.endX !== undefined) {
+      ctx.save();
+      ctx.strokeStyle = '#e94560';
+      ctx.fillStyle = 'rgba(233, 69, 96, 0.08)';
+      ctx.lineWidth = 1 / zoom;
+      ctx.setLineDash([4 / zoom, 4 / zoom]);
+      ctx.fillRect(drag.x, drag.y, drag.endX - drag.x, drag.endY - drag.y);
+      ctx.strokeRect(drag.x, drag.y, drag.endX - drag.x, drag.endY - drag.y);
+      ctx.restore();
+    }
+
+    // Snap indicator: ring on endpoints, diamond on midpoints
+    if (showSelection && this.snapTarget) {
+      const { x, y, kind } = this.snapTarget;
+      const r = 7 / zoom;
+      ctx.strokeStyle = '#fbbf24';
+      ctx.lineWidth = 2 / zoom;
+      ctx.beginPath();
+      if (kind === 'endpoint') {
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+      } else {
+        ctx.moveTo(x, y - r);
+        ctx.lineTo(x + r, y);
+        ctx.lineTo(x, y + r);
+        ctx.lineTo(x - r, y);
+        ctx.closePath();
+      }
+      ctx.stroke();
     }
 
     // Wall drawing preview
-    if (this.wallStart && (this.currentTool === 'wall' || this.currentTool === 'door' || this.currentTool === 'window')) {
+    const previewTools = ['wall', 'calibrate'];
+    if (showSelection && this.wallStart && previewTools.includes(this.currentTool)) {
+      const px = this._previewX || this.wallStart.x;
+      const py = this._previewY || this.wallStart.y;
       ctx.beginPath();
       ctx.setLineDash([5, 5]);
-      ctx.strokeStyle = this.currentTool === 'wall' ? '#aabbcc' :
-                         this.currentTool === 'door' ? '#4ade80' : '#53d8fb';
-      ctx.lineWidth = 2;
+      ctx.strokeStyle = this.currentTool === 'wall' ? '#aabbcc' : '#fbbf24';
+      ctx.lineWidth = 2 / (this.currentTool === 'calibrate' ? zoom : 1);
       ctx.moveTo(this.wallStart.x, this.wallStart.y);
-      ctx.lineTo(this._previewX || this.wallStart.x, this._previewY || this.wallStart.y);
+      ctx.lineTo(px, py);
       ctx.stroke();
       ctx.setLineDash([]);
+
+      // Live length while drawing
+      this._drawLengthLabel(ctx, this.wallStart.x, this.wallStart.y, px, py, zoom);
     }
   }
 
+  // Path of a furniture footprint, drawn about its center in its own frame
+  _traceFootprint(ctx, f) {
+    ctx.beginPath();
+    if (isRound(f)) {
+      ctx.ellipse(0, 0, f.width / 2, f.height / 2, 0, 0, Math.PI * 2);
+      return;
+    }
+    const pts = localOutline(f);
+    ctx.moveTo(pts[0].x, pts[0].y);
+    for (const p of pts.slice(1)) ctx.lineTo(p.x, p.y);
+    ctx.closePath();
+  }
+
+  // Door opening (dashed) with its leaf drawn open and the swing arc
+  _drawDoor(ctx, d, color) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 6;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(d.x1, d.y1);
+    ctx.lineTo(d.x2, d.y2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const s = doorSwing(d);
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(s.hx, s.hy);
+    ctx.lineTo(s.leafX, s.leafY);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.strokeStyle = 'rgba(74, 222, 128, 0.3)';
+    ctx.lineWidth = 1.5;
+    ctx.arc(s.hx, s.hy, s.r, s.closedAngle, s.openAngle, s.counterclockwise);
+    ctx.stroke();
+  }
+
+  // Length label beside a segment; sized in screen pixels regardless of zoom
+  _drawLengthLabel(ctx, x1, y1, x2, y2, zoom) {
+    const len = Math.hypot(x2 - x1, y2 - y1);
+    if (len < 1) return;
+    const text = formatLength(len, this.units);
+    const offset = 12 / zoom;
+    // Offset to the left of the direction of travel
+    const lx = (x1 + x2) / 2 + (y1 - y2) / len * offset;
+    const ly = (y1 + y2) / 2 + (x2 - x1) / len * offset;
+
+    ctx.save();
+    ctx.font = `${11 / zoom}px -apple-system, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const w = ctx.measureText(text).width + 8 / zoom;
+    const h = 16 / zoom;
+    ctx.fillStyle = 'rgba(13, 13, 26, 0.8)';
+    ctx.fillRect(lx - w / 2, ly - h / 2, w, h);
+    ctx.fillStyle = '#fbbf24';
+    ctx.fillText(text, lx, ly);
+    ctx.restore();
+  }
+
   setPreviewPosition(wx, wy) {
     this._previewX = wx;
     this._previewY = wy;
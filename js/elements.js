@@ -0,0 +1,103 @@
+// Five elements (Wu Xing) — element balance per bagua zone
+// Every furniture piece has a main `element` and may add a `colorElement`
+// (what its color suggests) and a `materialElement` (what it is made of).
+// A zone's balance sums these, weighting the main element highest.
+//
+// Supportive (generating) cycle: wood → fire → earth → metal → water → wood
+// Destructive (controlling) cycle: wood → earth → water → fire → metal → wood
+
+import { center } from './geometry.js';
+
+export const ELEMENTS = ['wood', 'fire', 'earth', 'metal', 'water'];
+
+export const ELEMENT_INFO = {
+  wood: { label: 'Wood', color: '#55cc55' },
+  fire: { label: 'Fire', color: '#ff6655' },
+  earth: { label: 'Earth', color: '#d4a554' },
+  metal: { label: 'Metal', color: '#ccccdd' },
+  water: { label: 'Water', color: '#4da6ff' },
+};
+
+const GENERATES = { wood: 'fire', fire: 'earth', earth: 'metal', metal: 'water', water: 'wood' };
+const CONTROLS = { wood: 'earth', earth: 'water', water: 'fire', fire: 'metal', metal: 'wood' };
+
+const WEIGHTS = { element: 1, colorElement: 0.5, materialElement: 0.5 };
+
+// The element that feeds `element` in the supportive cycle
+export function motherOf(element) {
+  return ELEMENTS.find(e => GENERATES[e] === element);
+}
+
+// How an item's element relates to a zone's:
+// 'same' | 'feeds' (item → zone) | 'drains' (zone → item) | 'clashes' (zone
+// controls item, e.g. Fire in a Water zone) | 'weakens' (item controls zone)
+export function relation(itemElement, zoneElement) {
+  if (itemElement === zoneElement) return 'same';
+  if (GENERATES[itemElement] === zoneElement) return 'feeds';
+  if (GENERATES[zoneElement] === itemElement) return 'drains';
+  if (CONTROLS[zoneElement] === itemElement) return 'clashes';
+  return 'weakens';
+}
+
+// Weighted element contributions of one piece: [{ element, weight }]
+export function itemElements(f) {
+  const result = [];
+  for (const [key, weight] of Object.entries(WEIGHTS)) {
+    if (ELEMENTS.includes(f[key])) result.push({ element: f[key], weight });
+  }
+  return result;
+}
+
+// Balance of each bagua zone. zoneAt(x, y) returns the zone a world point
+// falls in (or null); `catalog` is searched for supportive suggestions.
+// Returns [{ zone, element, counts, total, conflicts, suggestions }]
+export function analyzeElements(furniture, zones, zoneAt, catalog = []) {
+  const results = new Map(zones.map(zone => [zone, {
+    zone,
+    element: zone.element.toLowerCase(),
+    counts: Object.fromEntries(ELEMENTS.map(e => [e, 0])),
+    total: 0,
+    conflicts: [],
+    suggestions: [],
+  }]));
+
+  for (const f of furniture) {
+    const c = center(f);
+    const result = results.get(zoneAt(c.x, c.y));
+    if (!result) continue;
+    for (const { element, weight } of itemElements(f)) {
+      result.counts[element] += weight;
+      result.total += weight;
+    }
+    // Conflicts are judged on the main element only
+    if (f.element && (relation(f.element, result.element) === 'clashes' ||
+        relation(f.element, result.element) === 'weakens')) {
+      result.conflicts.push({ item: f, element: f.element, kind: relation(f.element, result.element) });
+    }
+  }
+
+  for (const result of results.values()) {
+    const { element, counts } = result;
+    const mother = motherOf(element);
+    // A zone wants its own element or the one that feeds it to lead
+    const support = counts[element] + counts[mother];
+    const opposing = counts[CONTROLS[element]] + ELEMENTS
+      .filter(e => CONTROLS[e] === element)
+      .reduce((sum, e) => sum + counts[e], 0);
+    if (result.conflicts.length > 0 || (result.total > 0 && support <= opposing)) {
+      result.suggestions = catalog
+        .filter(item => item.element === mother || item.element === element)
+        .map(item => ({ item, reason: item.element === mother ? 'feeds' : 'same' }));
+    }
+  }
+  return [...results.values()];
+}
+
+export function describeConflict(conflict, zoneElement) {
+  const item = conflict.item.label || conflict.item.type;
+  const own = ELEMENT_INFO[conflict.element].label;
+  const zone = ELEMENT_INFO[zoneElement].label;
+  return conflict.kind === 'clashes'
+    ? `${item} (${own}) clashes with the ${zone} zone — ${zone} controls ${own}`
+    : `${item} (${own}) works against the ${zone} zone — ${own} controls ${zone}`;
+}
@@ -0,0 +1,263 @@
+// Export — high-resolution PNG composite, vector SVG plan, printable report
+// Everything renders off-screen at a fixed resolution, so output does not
+// depend on the current zoom or the screen's device pixel ratio.
+
+import { formatLength } from './units.js';
+import { wallSpans, doorSwing } from './openings.js';
+import { center, isRound, localOutline } from './geometry.js';
+import { analyzeCommanding, renderSightLines } from './commanding.js';
+
+const EXPORT_LONG_SIDE = 3200; // PNG size (px) along the room's longer side
+const BACKGROUND = '#0d0d1a';
+
+// Render the plan plus the visible analysis layers to an off-screen canvas.
+// app: { editor, grid, heatmap, transient, particles, bagua, roomBounds, layers, simulationActive }
+export function renderComposite(app, longSide = EXPORT_LONG_SIDE) {
+  const { editor, grid, heatmap, transient, particles, bagua, layers, simulationActive } = app;
+  const bounds = app.roomBounds || editor.getRoomBounds();
+  const scale = longSide / Math.max(bounds.width, bounds.height);
+
+  const c = document.createElement('canvas');
+  c.width = Math.round(bounds.width * scale);
+  c.height = Math.round(bounds.height * scale);
+  const ctx = c.getContext('2d');
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, c.width, c.height);
+
+  // Simulation layers were computed over app.roomBounds — map grid cells to pixels
+  const simTransform = app.roomBounds ? {
+    offsetX: (app.roomBounds.x - bounds.x) * scale,
+    offsetY: (app.roomBounds.y - bounds.y) * scale,
+    scaleX: app.roomBounds.width * scale / grid.width,
+    scaleY: app.roomBounds.height * scale / grid.height,
+    roomWidth: app.roomBounds.width,
+    roomHeight: app.roomBounds.height,
+  } : null;
+
+  if (simulationActive && layers.heatmap && simTransform) {
+    heatmap.render(ctx, simTransform);
+  }
+  if (simulationActive && layers.fill && transient?.ready && simTransform) {
+    transient.render(ctx, simTransform); // the finished time-to-reach map
+  }
+
+  if (layers.bagua) {
+    bagua.update(editor.walls, editor.doors, editor.revision);
+    bagua.render(ctx, bounds, {
+      offsetX: 0,
+      offsetY: 0,
+      scaleX: scale,
+      scaleY: scale,
+      roomWidth: bounds.width,
+      roomHeight: bounds.height,
+    }, editor.compass);
+  }
+
+  ctx.save();
+  ctx.scale(scale, scale);
+  ctx.translate(-bounds.x, -bounds.y);
+  editor.render(ctx, null, { showSelection: false, showDimensions: layers.dimensions });
+  if (layers.sightlines) {
+    renderSightLines(ctx, analyzeCommanding(editor.furniture, editor.walls, editor.doors, editor.windows, editor.units), scale);
+  }
+  ctx.restore();
+
+  if (simulationActive && layers.particles && simTransform) {
+    // Thicker trails so the snapshot reads at print resolution
+    particles.render(ctx, { ...simTransform, lineScale: longSide / 1000 });
+  }
+
+  return c;
+}
+
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Image too large to export'));
+    }, type);
+  });
+}
+
+// --- SVG ---
+
+export function buildPlanSVG(editor, { showDimensions = false } = {}) {
+  const b = editor.getRoomBounds();
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="${n(b.x)} ${n(b.y)} ${n(b.width)} ${n(b.height)}" ` +
+    `width="${n(b.width)}" height="${n(b.height)}">`);
+  out.push(`<rect x="${n(b.x)}" y="${n(b.y)}" width="${n(b.width)}" height="${n(b.height)}" fill="${BACKGROUND}"/>`);
+
+  const openings = [...editor.doors, ...editor.windows];
+  out.push('<g id="walls" stroke="#aabbcc" stroke-width="4" stroke-linecap="round">');
+  for (const w of editor.walls) {
+    for (const s of wallSpans(w, openings)) {
+      out.push(`<line x1="${n(s.x1)}" y1="${n(s.y1)}" x2="${n(s.x2)}" y2="${n(s.y2)}"/>`);
+    }
+  }
+  out.push('</g>');
+
+  out.push('<g id="doors" fill="none">');
+  for (const d of editor.doors) {
+    const s = doorSwing(d);
+    out.push(`<line x1="${n(d.x1)}" y1="${n(d.y1)}" x2="${n(d.x2)}" y2="${n(d.y2)}" ` +
+      'stroke="#4ade80" stroke-width="6" stroke-dasharray="4 4"/>');
+    out.push(`<line x1="${n(s.hx)}" y1="${n(s.hy)}" x2="${n(s.leafX)}" y2="${n(s.leafY)}" ` +
+      'stroke="#4ade80" stroke-width="2"/>');
+    // Swing arc from the closed position to the open leaf, as on the canvas
+    const cx = s.hx + Math.cos(s.closedAngle) * s.r;
+    const cy = s.hy + Math.sin(s.closedAngle) * s.r;
+    out.push(`<path d="M ${n(cx)} ${n(cy)} A ${n(s.r)} ${n(s.r)} 0 0 ${s.counterclockwise ? 0 : 1} ${n(s.leafX)} ${n(s.leafY)}" ` +
+      'stroke="rgba(74, 222, 128, 0.3)" stroke-width="1.5"/>');
+  }
+  out.push('</g>');
+
+  out.push('<g id="windows">');
+  for (const w of editor.windows) {
+    out.push(`<line x1="${n(w.x1)}" y1="${n(w.y1)}" x2="${n(w.x2)}" y2="${n(w.y2)}" stroke="#53d8fb" stroke-width="3"/>`);
+    const dx = w.x2 - w.x1;
+    const dy = w.y2 - w.y1;
+    const len = Math.hypot(dx, dy);
+    if (len === 0) continue;
+    const nx = -dy / len * 4;
+    const ny = dx / len * 4;
+    const steps = Math.max(2, Math.floor(len / 10));
+    for (let s = 0; s <= steps; s++) {
+      const px = w.x1 + dx * s / steps;
+      const py = w.y1 + dy * s / steps;
+      out.push(`<line x1="${n(px - nx)}" y1="${n(py - ny)}" x2="${n(px + nx)}" y2="${n(py + ny)}" ` +
+        'stroke="rgba(83, 216, 251, 0.4)" stroke-width="1"/>');
+    }
+  }
+  out.push('</g>');
+
+  out.push('<g id="furniture" font-family="-apple-system, sans-serif" font-size="10" text-anchor="middle" dominant-baseline="middle">');
+  for (const f of editor.furniture) {
+    const c = center(f);
+    const rotate = f.rotation ? ` transform="rotate(${n(f.rotation)} ${n(c.x)} ${n(c.y)})"` : '';
+    const style = `fill="${escapeXML(f.color || '#666')}" fill-opacity="0.7" stroke="rgba(255,255,255,0.3)" stroke-width="1"`;
+    if (isRound(f)) {
+      out.push(`<ellipse cx="${n(c.x)}" cy="${n(c.y)}" rx="${n(f.width / 2)}" ry="${n(f.height / 2)}"${rotate} ${style}/>`);
+    } else if (f.shape && f.shape !== 'rect') {
+      const points = localOutline(f).map(p => `${n(c.x + p.x)},${n(c.y + p.y)}`).join(' ');
+      out.push(`<polygon points="${points}"${rotate} ${style}/>`);
+    } else {
+      out.push(`<rect x="${n(f.x)}" y="${n(f.y)}" width="${n(f.width)}" height="${n(f.height)}"${rotate} ${style}/>`);
+    }
+    out.push(`<text x="${n(c.x)}" y="${n(c.y)}"${rotate} fill="rgba(255,255,255,0.8)">` +
+      `${escapeXML(f.label || f.type)}</text>`);
+  }
+  out.push('</g>');
+
+  if (showDimensions) {
+    out.push('<g id="dimensions" font-family="-apple-system, sans-serif" font-size="11" fill="#fbbf24" ' +
+      'text-anchor="middle" dominant-baseline="middle">');
+    for (const w of editor.walls) {
+      const len = Math.hypot(w.x2 - w.x1, w.y2 - w.y1);
+      if (len < 1) continue;
+      // Same placement as the canvas labels: left of the direction of travel
+      const lx = (w.x1 + w.x2) / 2 + (w.y1 - w.y2) / len * 12;
+      const ly = (w.y1 + w.y2) / 2 + (w.x2 - w.x1) / len * 12;
+      out.push(`<text x="${n(lx)}" y="${n(ly)}">${escapeXML(formatLength(len, editor.units))}</text>`);
+    }
+    out.push('</g>');
+  }
+
+  out.push('</svg>');
+  return out.join('\n');
+}
+
+// --- Report ---
+
+// Standalone HTML page; opened in a new tab and printed to PDF by the browser
+export function buildReportHTML({ title, imageURL, editor, flow, issues = [] }) {
+  const date = new Date().toLocaleString();
+  const counts = {};
+  for (const f of editor.furniture) {
+    const label = f.label || f.type;
+    counts[label] = (counts[label] || 0) + 1;
+  }
+
+  // `flow` is the result of computeMetrics (metrics.js)
+  const zoneRows = flow ? flow.zones
+    .map(z => `<tr><td>${escapeXML(z.zone.name)}</td><td>${z.meanFlowPct}%</td>` +
+      `<td>${z.stagnantPct}% stagnant · ${z.shaChiPct}% sha chi</td></tr>`)
+    .join('') : '';
+
+  const flowSection = flow ? `
+    <h2>Chi flow</h2>
+    <table class="metrics">
+      <tr><th>Harmony</th><td>${flow.score}</td><td>${flow.grade} — out of 100, from good flow and uniformity</td></tr>
+      <tr><th>Good flow</th><td>${flow.goodPct}%</td><td>Gentle, meandering chi — the goal for most of the room</td></tr>
+      <tr><th>Stagnant</th><td>${flow.stagnantPct}%</td><td>Chi collects and stalls; consider lighting, plants or moving obstructions</td></tr>
+      <tr><th>Sha chi</th><td>${flow.shaChiPct}%</td><td>Fast, rushing energy; soften straight paths with furniture or rugs</td></tr>
+      <tr><th>Mean flow</th><td>${flow.meanFlowPct}%</td><td>Average speed relative to the fastest point</td></tr>
+      <tr><th>Uniformity</th><td>${flow.uniformityPct}%</td><td>How evenly chi reaches the whole floor</td></tr>
+    </table>
+    ${zoneRows ? `<h2>Bagua zones</h2><table class="metrics">${zoneRows}</table>` : ''}` : '<p class="note">Run the simulation before exporting to include the flow analysis.</p>';
+
+  const commandingRows = analyzeCommanding(editor.furniture, editor.walls, editor.doors, editor.windows, editor.units)
+    .map(r => `<tr><td>${escapeXML(r.item.label || r.item.type)}</td><td>${r.score}/100</td>` +
+      `<td>${r.issues.map(escapeXML).join('<br>') || 'Commanding position'}</td></tr>`)
+    .join('');
+
+  const issueRows = issues
+    .map((issue, i) => `<tr><td>${i + 1}. ${escapeXML(issue.title)}</td><td>${issue.severity}</td>` +
+      `<td>${escapeXML(issue.message)}</td></tr>`)
+    .join('');
+
+  const furnitureRows = Object.entries(counts)
+    .map(([label, count]) => `<tr><td>${escapeXML(label)}</td><td>${count}</td></tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXML(title)}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', system-ui, sans-serif; color: #222; max-width: 900px; margin: 32px auto; padding: 0 24px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+  .date { color: #777; font-size: 12px; }
+  img { width: 100%; border-radius: 6px; margin-top: 16px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+  .metrics td:nth-child(2) { font-weight: 600; width: 60px; }
+  .note { color: #777; font-style: italic; }
+  .print { float: right; padding: 6px 14px; }
+  @media print { .print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+  <button class="print" onclick="window.print()">Print / Save PDF</button>
+  <h1>${escapeXML(title)}</h1>
+  <div class="date">${date}</div>
+  <img src="${imageURL}" alt="Floor plan with flow analysis">
+  ${flowSection}
+  <h2>Plan</h2>
+  <table>
+    <tr><th>Walls</th><td>${editor.walls.length}</td></tr>
+    <tr><th>Doors</th><td>${editor.doors.length}</td></tr>
+    <tr><th>Windows</th><td>${editor.windows.length}</td></tr>
+  </table>
+  ${issueRows ? `<h2>Issues</h2><table class="metrics">${issueRows}</table>` : ''}
+  ${commandingRows ? `<h2>Commanding position</h2><table class="metrics">${commandingRows}</table>` : ''}
+  ${furnitureRows ? `<h2>Furniture</h2><table>${furnitureRows}</table>` : ''}
+</body>
+</html>`;
+}
+
+// --- Helpers ---
+
+function n(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function escapeXML(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
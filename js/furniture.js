@@ -1,130 +1,210 @@
 // Furniture catalog and properties
-// Each type has dimensions, flow resistance, and feng shui properties
+// Each type has real-world dimensions (meters, width × depth), flow
+// resistance, and feng shui properties. Types without a `shape` are
+// rectangles; see geometry.js for the others. `element` (with optional
+// `colorElement` and `materialElement`) places a piece in the five-element
+// balance, see elements.js.
+
+import { toWorld, defaultUnits } from './units.js';
 
 export const FURNITURE_CATALOG = [
   {
     type: 'sofa',
     label: 'Sofa',
-    width: 80,
-    height: 35,
+    dimensions: { width: 2.0, depth: 0.9 },
     color: '#6b7280',
     flowResistance: 0.7,
     poisonArrow: false,
     flowModifier: 0,
+    element: 'earth',
     description: 'Seating area — moderate flow obstruction',
   },
+  {
+    type: 'sectional',
+    label: 'L-Sectional',
+    shape: 'lshape',
+    dimensions: { width: 2.6, depth: 2.0 },
+    color: '#6b7280',
+    flowResistance: 0.7,
+    poisonArrow: false,
+    flowModifier: 0,
+    element: 'earth',
+    description: 'Corner seating — encloses a conversation area',
+  },
   {
     type: 'bed',
     label: 'Bed',
-    width: 60,
-    height: 80,
+    dimensions: { width: 1.5, depth: 2.0 },
     color: '#7c6f64',
     flowResistance: 0.6,
     poisonArrow: false,
     flowModifier: 0,
+    element: 'wood',
     description: 'Rest area — moderate flow obstruction',
   },
   {
     type: 'table',
     label: 'Table',
-    width: 50,
-    height: 50,
+    dimensions: { width: 1.2, depth: 1.2 },
     color: '#8b6f47',
     flowResistance: 0.5,
     poisonArrow: true,
     flowModifier: 0,
+    element: 'wood',
     description: 'Sharp corners create poison arrows',
   },
+  {
+    type: 'round-table',
+    label: 'Round Table',
+    shape: 'circle',
+    dimensions: { width: 1.1, depth: 1.1 },
+    color: '#8b6f47',
+    flowResistance: 0.5,
+    poisonArrow: false,
+    flowModifier: 0,
+    element: 'metal',
+    materialElement: 'wood',
+    description: 'No corners — lets chi circulate gently',
+  },
+  {
+    type: 'oval-table',
+    label: 'Oval Table',
+    shape: 'ellipse',
+    dimensions: { width: 1.8, depth: 1.0 },
+    color: '#8b6f47',
+    flowResistance: 0.5,
+    poisonArrow: false,
+    flowModifier: 0,
+    element: 'metal',
+    materialElement: 'wood',
+    description: 'Seats more than a round table without sharp corners',
+  },
   {
     type: 'desk',
     label: 'Desk',
-    width: 60,
-    height: 30,
+    dimensions: { width: 1.5, depth: 0.75 },
     color: '#7a6240',
     flowResistance: 0.5,
     poisonArrow: true,
     flowModifier: 0,
+    element: 'wood',
     description: 'Work surface — sharp corners create poison arrows',
   },
   {
     type: 'chair',
     label: 'Chair',
-    width: 20,
-    height: 20,
+    dimensions: { width: 0.5, depth: 0.5 },
     color: '#9ca3af',
     flowResistance: 0.3,
     poisonArrow: false,
     flowModifier: 0,
+    element: 'wood',
     description: 'Small obstruction',
   },
   {
     type: 'bookshelf',
     label: 'Bookshelf',
-    width: 40,
-    height: 15,
+    dimensions: { width: 1.0, depth: 0.4 },
     color: '#92734a',
     flowResistance: 0.8,
     poisonArrow: false,
     flowModifier: 0,
+    element: 'wood',
     description: 'Dense storage — high flow obstruction',
   },
   {
     type: 'plant',
     label: 'Plant',
-    width: 15,
-    height: 15,
+    dimensions: { width: 0.4, depth: 0.4 },
     color: '#22c55e',
     flowResistance: 0.1,
     poisonArrow: false,
     flowModifier: 0.2,
+    element: 'wood',
+    colorElement: 'wood',
     description: 'Enhances chi flow — wood element',
   },
   {
     type: 'mirror',
     label: 'Mirror',
-    width: 30,
-    height: 5,
+    dimensions: { width: 0.75, depth: 0.1 },
     color: '#a5f3fc',
     flowResistance: 0.0,
     poisonArrow: false,
     flowModifier: 0.3,
+    element: 'water',
+    materialElement: 'metal',
     description: 'Reflects and redirects chi — water element',
   },
   {
     type: 'rug',
     label: 'Rug',
-    width: 60,
-    height: 40,
+    dimensions: { width: 1.5, depth: 1.0 },
     color: '#b45309',
     flowResistance: 0.05,
     poisonArrow: false,
     flowModifier: 0.1,
+    element: 'earth',
     description: 'Grounds energy — earth element',
   },
+  {
+    type: 'ottoman',
+    label: 'Ottoman',
+    shape: 'polygon',
+    points: [[0.25, 0], [0.75, 0], [1, 0.5], [0.75, 1], [0.25, 1], [0, 0.5]],
+    dimensions: { width: 0.8, depth: 0.7 },
+    color: '#9ca3af',
+    flowResistance: 0.3,
+    poisonArrow: true,
+    flowModifier: 0,
+    element: 'earth',
+    description: 'Hexagonal — its blunt corners send no poison arrows',
+  },
   {
     type: 'cabinet',
     label: 'Cabinet',
-    width: 40,
-    height: 20,
+    dimensions: { width: 1.0, depth: 0.5 },
     color: '#78716c',
     flowResistance: 0.9,
     poisonArrow: false,
     flowModifier: 0,
+    element: 'metal',
+    materialElement: 'wood',
     description: 'Heavy storage — high flow obstruction',
   },
 ];
 
+// User-defined pieces (see catalog.js), listed after the built-ins
+let customPieces = [];
+
+export function setCustomFurniture(pieces) {
+  customPieces = pieces;
+}
+
+export function getCustomFurniture() {
+  return customPieces;
+}
+
+export function getCatalog() {
+  return [...FURNITURE_CATALOG, ...customPieces];
+}
+
 export function getFurnitureByType(type) {
-  return FURNITURE_CATALOG.find(f => f.type === type);
+  return getCatalog().find(f => f.type === type);
 }
 
-// Create a furniture instance for placement
-export function createFurnitureInstance(type, x, y) {
+// Create a furniture instance for placement — instances store their size
+// in world units, converted from the catalog's meters at the plan's scale
+export function createFurnitureInstance(type, x, y, units = defaultUnits()) {
   const template = getFurnitureByType(type);
   if (!template) return null;
+  const { dimensions, ...props } = template;
   return {
     id: Date.now() + Math.random(),
-    ...template,
+    ...props,
+    ...(props.points && { points: props.points.map(p => [...p]) }),
+    width: toWorld(dimensions.width, units),
+    height: toWorld(dimensions.depth, units),
     x,
     y,
     rotation: 0,
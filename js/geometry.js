@@ -0,0 +1,180 @@
+// Geometry helpers for rotated furniture footprints, and for the segments
+// walls and openings are made of (at the end)
+// A furniture item's x, y, width and height describe its unrotated box;
+// `rotation` (degrees, clockwise on screen) turns it about the box center.
+// At rotation 0 the front of a piece faces +y (down the screen).
+//
+// `shape` says what fills the box:
+//   'rect' (default) | 'circle' | 'ellipse' — circle keeps width = height
+//   'lshape'  — L-sectional with arms along the back (top) and left side
+//   'polygon' — `points`: [[u, v], ...] outline as fractions of the box (0..1)
+
+const DEG = Math.PI / 180;
+const SHARP_ANGLE = 100; // degrees — convex corners at most this sharp emit poison arrows
+const L_ARM = 0.45;      // L-sectional arm depth as a fraction of the box
+
+export function center(f) {
+  return { x: f.x + f.width / 2, y: f.y + f.height / 2 };
+}
+
+// Rotate (x, y) about (cx, cy) by `degrees`
+export function rotatePoint(x, y, cx, cy, degrees) {
+  const a = degrees * DEG;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  const dx = x - cx;
+  const dy = y - cy;
+  return { x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos };
+}
+
+// Corners of the rotated footprint: top-left, top-right, bottom-right, bottom-left
+export function corners(f) {
+  const c = center(f);
+  const rot = f.rotation || 0;
+  return [
+    [f.x, f.y],
+    [f.x + f.width, f.y],
+    [f.x + f.width, f.y + f.height],
+    [f.x, f.y + f.height],
+  ].map(([x, y]) => rotatePoint(x, y, c.x, c.y, rot));
+}
+
+export function containsPoint(f, x, y) {
+  const c = center(f);
+  // Undo the rotation, then test against the unrotated shape
+  const p = rotatePoint(x, y, c.x, c.y, -(f.rotation || 0));
+  if (isRound(f)) {
+    const dx = (p.x - c.x) / (f.width / 2);
+    const dy = (p.y - c.y) / (f.height / 2);
+    return dx * dx + dy * dy <= 1;
+  }
+  if (p.x < f.x || p.x > f.x + f.width || p.y < f.y || p.y > f.y + f.height) return false;
+  if (!f.shape || f.shape === 'rect') return true;
+  return insidePolygon(localOutline(f), p.x - c.x, p.y - c.y);
+}
+
+// Even-odd point in polygon test
+function insidePolygon(pts, x, y) {
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i];
+    const b = pts[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Axis-aligned box around the rotated footprint
+export function bounds(f) {
+  const pts = corners(f);
+  const xs = pts.map(p => p.x);
+  const ys = pts.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+}
+
+// Angle in [0, 360)
+export function normalizeAngle(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+export function isRound(f) {
+  return f.shape === 'circle' || f.shape === 'ellipse';
+}
+
+// Outline as fractions of the box, or null for round shapes
+function unitOutline(f) {
+  switch (f.shape) {
+    case 'circle':
+    case 'ellipse':
+      return null;
+    case 'lshape':
+      return [[0, 0], [1, 0], [1, L_ARM], [L_ARM, L_ARM], [L_ARM, 1], [0, 1]];
+    case 'polygon':
+      if (Array.isArray(f.points) && f.points.length >= 3) return f.points;
+      // fall through — a broken polygon is drawn as its box
+    default:
+      return [[0, 0], [1, 0], [1, 1], [0, 1]];
+  }
+}
+
+// Unrotated outline in world units, relative to the box center. Round shapes
+// are approximated with `segments` points.
+export function localOutline(f, segments = 32) {
+  const unit = unitOutline(f);
+  if (unit) return unit.map(([u, v]) => ({ x: (u - 0.5) * f.width, y: (v - 0.5) * f.height }));
+  const pts = [];
+  for (let i = 0; i < segments; i++) {
+    const a = i / segments * Math.PI * 2;
+    pts.push({ x: Math.cos(a) * f.width / 2, y: Math.sin(a) * f.height / 2 });
+  }
+  return pts;
+}
+
+// Rotated outline in world coordinates
+export function outline(f, segments = 32) {
+  const c = center(f);
+  const rot = f.rotation || 0;
+  return localOutline(f, segments).map(p => rotatePoint(c.x + p.x, c.y + p.y, c.x, c.y, rot));
+}
+
+// Convex outline corners sharp enough to send out poison arrows, in world
+// coordinates. Round shapes have none; reflex corners (the inside of an L)
+// and blunt ones (an octagon's 135°) don't count.
+export function sharpCorners(f) {
+  if (isRound(f)) return [];
+  const pts = outline(f);
+  const n = pts.length;
+  // Signed area tells which turn direction is convex
+  let area = 0;
+  for (let i = 0; i < n; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % n];
+    area += a.x * b.y - b.x * a.y;
+  }
+  const result = [];
+  for (let i = 0; i < n; i++) {
+    const prev = pts[(i + n - 1) % n];
+    const p = pts[i];
+    const next = pts[(i + 1) % n];
+    const ax = prev.x - p.x, ay = prev.y - p.y;
+    const bx = next.x - p.x, by = next.y - p.y;
+    const cross = (p.x - prev.x) * (next.y - p.y) - (p.y - prev.y) * (next.x - p.x);
+    if (cross * area <= 0) continue; // reflex or straight
+    const angle = Math.acos((ax * bx + ay * by) / (Math.hypot(ax, ay) * Math.hypot(bx, by) || 1)) / DEG;
+    if (angle <= SHARP_ANGLE) result.push(p);
+  }
+  return result;
+}
+
+// --- Segments ---
+// Walls, doors and windows are segments { x1, y1, x2, y2 }; points are { x, y }.
+
+export function midpoint(s) {
+  return { x: (s.x1 + s.x2) / 2, y: (s.y1 + s.y2) / 2 };
+}
+
+export function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Where the ray from p in direction d meets segment w, as a multiple of d,
+// or null if it misses
+export function rayHit(p, d, w) {
+  const ex = w.x2 - w.x1;
+  const ey = w.y2 - w.y1;
+  const denom = d.x * ey - d.y * ex;
+  if (Math.abs(denom) < 1e-9) return null;
+  const t = ((w.x1 - p.x) * ey - (w.y1 - p.y) * ex) / denom;
+  const s = ((w.x1 - p.x) * d.y - (w.y1 - p.y) * d.x) / denom;
+  return t >= 0 && s >= 0 && s <= 1 ? t : null;
+}
+
+// Do segments a → b and w cross? Touching at a or b doesn't count.
+export function crosses(a, b, w) {
+  const t = rayHit(a, { x: b.x - a.x, y: b.y - a.y }, w);
+  return t !== null && t > 0.001 && t < 0.999;
+}
@@ -1,6 +1,41 @@
 // Spatial grid for the simulation
 // Each cell stores: wall (boolean), source strength, obstacle info
 
+// The per-cell arrays, as handed between the page and the solver worker
+const FIELDS = ['cells', 'sources', 'potential', 'vx', 'vy', 'speed', 'flowModifier'];
+
+// Simulation quality: cells along the room's longer side. Cells are square,
+// so the shorter side gets fewer.
+export const QUALITY_PRESETS = {
+  draft: { name: 'Draft', cells: 120 },
+  standard: { name: 'Standard', cells: 200 },
+  fine: { name: 'Fine', cells: 320 },
+  ultra: { name: 'Ultra', cells: 480 },
+};
+export const DEFAULT_QUALITY = 'standard';
+
+const MIN_CELLS = 16; // across the shorter side, so walls leave room for floor
+
+// Grid size for simulating `roomBounds` at a quality preset:
+// { width, height, bounds }, where bounds is the area the grid covers — the
+// room's bounds grown evenly on the shorter side to a whole number of cells
+export function gridLayout(roomBounds, quality = DEFAULT_QUALITY) {
+  const { cells } = QUALITY_PRESETS[quality] || QUALITY_PRESETS[DEFAULT_QUALITY];
+  const size = Math.max(roomBounds.width, roomBounds.height) / cells;
+  const width = Math.max(MIN_CELLS, Math.ceil(roomBounds.width / size - 1e-6));
+  const height = Math.max(MIN_CELLS, Math.ceil(roomBounds.height / size - 1e-6));
+  return {
+    width,
+    height,
+    bounds: {
+      x: roomBounds.x - (width * size - roomBounds.width) / 2,
+      y: roomBounds.y - (height * size - roomBounds.height) / 2,
+      width: width * size,
+      height: height * size,
+    },
+  };
+}
+
 export class Grid {
   constructor(width = 200, height = 200) {
     this.width = width;
@@ -14,6 +49,36 @@ export class Grid {
     this.flowModifier = new Float32Array(width * height); // feng shui modifiers
   }
 
+  // The per-cell arrays by name, and their buffers for a postMessage
+  // transfer list (transferring detaches them from this grid)
+  fields() {
+    return Object.fromEntries(FIELDS.map(name => [name, this[name]]));
+  }
+
+  transferables() {
+    return FIELDS.map(name => this[name].buffer);
+  }
+
+  // Take over the arrays of a width × height grid, resizing to match
+  adopt(fields, width = this.width, height = this.height) {
+    for (const name of FIELDS) {
+      if (fields[name]?.length !== width * height) {
+        throw new Error(`Grid field ${name} doesn't match a ${width}×${height} grid`);
+      }
+    }
+    this.width = width;
+    this.height = height;
+    for (const name of FIELDS) this[name] = fields[name];
+  }
+
+  // Change size, clearing every cell (unless the size is unchanged)
+  resize(width, height) {
+    if (width === this.width && height === this.height) return;
+    this.width = width;
+    this.height = height;
+    for (const name of FIELDS) this[name] = new Float32Array(width * height);
+  }
+
   idx(x, y) {
     return y * this.width + x;
   }
@@ -87,3 +87,73 @@ export class Heatmap {
     ctx.globalAlpha = 1;
   }
 }
+
+// Where flow got faster (green) or slower (red) from layout `a` to layout
+// `b`, each { grid, roomBounds } from a simulation. Drawn over a's grid;
+// speeds are compared as fractions of each run's fastest point.
+export class DifferenceHeatmap {
+  constructor(a, b) {
+    this.grid = a.grid;
+    this.canvas = null;
+    this.generate(a, b);
+  }
+
+  generate(a, b) {
+    const ga = a.grid;
+    const gb = b.grid;
+    const maxA = ga.getMaxSpeed() || 1;
+    const maxB = gb.getMaxSpeed() || 1;
+    const diff = new Float32Array(ga.width * ga.height);
+    const open = new Uint8Array(ga.width * ga.height);
+    const magnitudes = [];
+
+    for (let y = 0; y < ga.height; y++) {
+      for (let x = 0; x < ga.width; x++) {
+        const i = ga.idx(x, y);
+        if (ga.cells[i] >= 1) continue;
+        // Same world point on b's grid
+        const wx = a.roomBounds.x + x * a.roomBounds.width / ga.width;
+        const wy = a.roomBounds.y + y * a.roomBounds.height / ga.height;
+        const bx = Math.round((wx - b.roomBounds.x) * gb.width / b.roomBounds.width);
+        const by = Math.round((wy - b.roomBounds.y) * gb.height / b.roomBounds.height);
+        if (gb.isWall(bx, by)) continue;
+        diff[i] = gb.getSpeed(bx, by) / maxB - ga.speed[i] / maxA;
+        open[i] = 1;
+        magnitudes.push(Math.abs(diff[i]));
+      }
+    }
+
+    // Scale colors to the bulk of the changes, not the spikes at openings
+    magnitudes.sort((m, n) => m - n);
+    const scale = magnitudes[Math.floor(magnitudes.length * 0.95)] || 1;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = ga.width;
+    this.canvas.height = ga.height;
+    const ctx = this.canvas.getContext('2d');
+    const image = ctx.createImageData(ga.width, ga.height);
+    const data = image.data;
+    for (let i = 0; i < diff.length; i++) {
+      if (!open[i]) continue;
+      const t = Math.max(-1, Math.min(1, diff[i] / scale));
+      const pi = i * 4;
+      if (t >= 0) {
+        data[pi] = 40;
+        data[pi + 1] = 220;
+        data[pi + 2] = 120;
+      } else {
+        data[pi] = 240;
+        data[pi + 1] = 70;
+        data[pi + 2] = 80;
+      }
+      data[pi + 3] = Math.round(Math.abs(t) * 220);
+    }
+    ctx.putImageData(image, 0, 0);
+  }
+
+  render(ctx, transform) {
+    const { offsetX, offsetY, scaleX, scaleY } = transform;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(this.canvas, offsetX, offsetY, this.grid.width * scaleX, this.grid.height * scaleY);
+  }
+}
@@ -0,0 +1,93 @@
+// Kua numbers (Eight Mansions) — each occupant's favorable directions
+// The Kua number comes from the birth year by the traditional formula; the
+// solar year starts around 4 February, so people born in January or early
+// February should enter the previous year.
+//
+// Beds count by the way the head points (the piece's back, see geometry.js);
+// desks by the way the person sitting at them faces, also the back.
+
+import { sectorOf, normalizeBearing } from './compass.js';
+
+// Four favorable then four unfavorable directions for each Kua number
+const DIRECTIONS = {
+  1: ['SE', 'E', 'S', 'N', 'W', 'NE', 'NW', 'SW'],
+  2: ['NE', 'W', 'NW', 'SW', 'E', 'SE', 'S', 'N'],
+  3: ['S', 'N', 'SE', 'E', 'SW', 'NW', 'NE', 'W'],
+  4: ['N', 'S', 'E', 'SE', 'NW', 'SW', 'W', 'NE'],
+  6: ['W', 'NE', 'SW', 'NW', 'SE', 'E', 'N', 'S'],
+  7: ['NW', 'SW', 'NE', 'W', 'N', 'S', 'SE', 'E'],
+  8: ['SW', 'NW', 'W', 'NE', 'S', 'N', 'E', 'SE'],
+  9: ['E', 'SE', 'N', 'S', 'NE', 'W', 'SW', 'NW'],
+};
+
+export const DIRECTION_NAMES = [
+  { label: 'Sheng Qi', meaning: 'success', good: true },
+  { label: 'Tian Yi', meaning: 'health', good: true },
+  { label: 'Yan Nian', meaning: 'relationships', good: true },
+  { label: 'Fu Wei', meaning: 'stability', good: true },
+  { label: 'Huo Hai', meaning: 'mishaps', good: false },
+  { label: 'Wu Gui', meaning: 'five ghosts', good: false },
+  { label: 'Liu Sha', meaning: 'six killings', good: false },
+  { label: 'Jue Ming', meaning: 'total loss', good: false },
+];
+
+const EAST_GROUP = [1, 3, 4, 9];
+
+// Furniture types whose direction is checked, and what the direction means
+export const CHECKED_TYPES = { bed: 'head points', desk: 'sitting faces' };
+
+// Birth years an occupant can be entered with
+export const BIRTH_YEARS = { min: 1900, max: 2100 };
+
+// Occupants read from a file, less any without a usable birth year or gender
+export function validOccupants(occupants) {
+  if (!Array.isArray(occupants)) return [];
+  return occupants.filter(o => o && typeof o === 'object' &&
+    Number.isInteger(o.birthYear) && o.birthYear >= BIRTH_YEARS.min && o.birthYear <= BIRTH_YEARS.max &&
+    (o.gender === 'male' || o.gender === 'female'));
+}
+
+// gender: 'male' | 'female'. There is no Kua 5: men take 2, women 8.
+export function kuaNumber(year, gender) {
+  const r = year % 9;
+  if (gender === 'female') {
+    const kua = (r + 4) % 9 || 9;
+    return kua === 5 ? 8 : kua;
+  }
+  const kua = (11 - r) % 9 || 9;
+  return kua === 5 ? 2 : kua;
+}
+
+export function kuaGroup(kua) {
+  return EAST_GROUP.includes(kua) ? 'East' : 'West';
+}
+
+// { [dir]: { label, meaning, good, rank } } for all eight directions
+export function directionsFor(kua) {
+  const result = {};
+  DIRECTIONS[kua].forEach((dir, rank) => {
+    result[dir] = { ...DIRECTION_NAMES[rank], rank };
+  });
+  return result;
+}
+
+// Compass bearing of a piece's back, for a plan whose north points `north`
+// degrees clockwise from straight up. At rotation 0 the back faces up.
+export function backBearing(f, north) {
+  return normalizeBearing((f.rotation || 0) - north);
+}
+
+// Check every bed and desk against each occupant's directions:
+// [{ item, index, occupant, dir, direction }]
+export function checkFurniture(furniture, occupants, north) {
+  const results = [];
+  furniture.forEach((item, index) => {
+    if (!CHECKED_TYPES[item.type]) return;
+    const dir = sectorOf(backBearing(item, north)).dir;
+    for (const occupant of occupants) {
+      const kua = kuaNumber(occupant.birthYear, occupant.gender);
+      results.push({ item, index, occupant, dir, direction: directionsFor(kua)[dir] });
+    }
+  });
+  return results;
+}
@@ -0,0 +1,81 @@
+// Flow metrics — numbers from a finished simulation, so layouts can be
+// compared by more than the look of the heatmap
+//
+// Speeds are judged as a fraction of the fastest point, in the same bands
+// the heatmap and particles are colored by: below 0.15 is stagnant, above
+// 0.7 is sha chi, anything between is good flow. Only cells on the floor
+// (inside the walls, see room.js) count.
+
+import { isInside } from './room.js';
+
+export const STAGNANT = 0.15;
+export const SHA_CHI = 0.7;
+
+// Harmony score weights: good flow counts most; uniformity rewards chi that
+// reaches the whole room rather than racing through part of it
+const SCORE_WEIGHTS = { good: 0.6, uniformity: 0.4 };
+
+// zoneAt(x, y) returns the bagua zone over a floor point (BaguaMap.zoneAt).
+// Returns { score, grade, stagnantPct, goodPct, shaChiPct, meanFlowPct,
+// uniformityPct, zones: [{ zone, cells, meanFlowPct, stagnantPct, shaChiPct }] }
+// or null when no floor cell has been simulated.
+export function computeMetrics(grid, roomBounds, { mask = null, zones = [], zoneAt = () => null } = {}) {
+  const maxSpeed = grid.getMaxSpeed();
+  const tally = () => ({ cells: 0, sum: 0, stagnant: 0, fast: 0 });
+  const room = tally();
+  const byZone = new Map(zones.map(zone => [zone, tally()]));
+  let sumSq = 0;
+
+  const add = (t, ratio) => {
+    t.cells++;
+    t.sum += ratio;
+    if (ratio < STAGNANT) t.stagnant++;
+    else if (ratio > SHA_CHI) t.fast++;
+  };
+
+  for (let gy = 0; gy < grid.height; gy++) {
+    for (let gx = 0; gx < grid.width; gx++) {
+      const i = grid.idx(gx, gy);
+      if (grid.cells[i] >= 1) continue;
+      // Cell centers in world coordinates, as the simulation rasterized them
+      const x = roomBounds.x + gx * roomBounds.width / grid.width;
+      const y = roomBounds.y + gy * roomBounds.height / grid.height;
+      if (!isInside(mask, x, y)) continue;
+      const ratio = maxSpeed > 0 ? grid.speed[i] / maxSpeed : 0;
+      add(room, ratio);
+      sumSq += ratio * ratio;
+      const zoneTally = byZone.get(zoneAt(x, y));
+      if (zoneTally) add(zoneTally, ratio);
+    }
+  }
+  if (room.cells === 0) return null;
+
+  const share = (count, t) => count / t.cells;
+  const pct = (v) => Math.round(v * 100);
+  const pct1 = (v) => Math.round(v * 1000) / 10; // mean flows are small, keep a decimal
+  const mean = room.sum / room.cells;
+  const variance = Math.max(0, sumSq / room.cells - mean * mean);
+  // 1 when every cell flows at the same speed, falling as speeds spread out
+  const uniformity = mean > 0 ? 1 / (1 + Math.sqrt(variance) / mean) : 0;
+  const good = 1 - share(room.stagnant, room) - share(room.fast, room);
+  const score = Math.round(100 * (SCORE_WEIGHTS.good * good + SCORE_WEIGHTS.uniformity * uniformity));
+
+  return {
+    score,
+    grade: score >= 75 ? 'Harmonious' : score >= 50 ? 'Fair' : 'Needs work',
+    stagnantPct: pct(share(room.stagnant, room)),
+    goodPct: pct(good),
+    shaChiPct: pct(share(room.fast, room)),
+    meanFlowPct: pct1(mean),
+    uniformityPct: pct(uniformity),
+    zones: [...byZone.entries()]
+      .filter(([, t]) => t.cells > 0)
+      .map(([zone, t]) => ({
+        zone,
+        cells: t.cells,
+        meanFlowPct: pct1(t.sum / t.cells),
+        stagnantPct: pct(share(t.stagnant, t)),
+        shaChiPct: pct(share(t.fast, t)),
+      })),
+  };
+}
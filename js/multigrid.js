@@ -0,0 +1,316 @@
+// Multigrid solver for the chi potential (see simulation.js)
+//
+// Every open cell settles at the conductance-weighted average of its four
+// neighbors, plus the pull of any flow modifier on it. Walls and the fixed
+// sources and sinks hold their potential. Furniture conducts less than open
+// floor, so the field bends around it rather than through it.
+//
+// Plain relaxation fixes errors that vary cell to cell quickly but takes
+// thousands of sweeps on room-sized ones. A V-cycle smooths, then solves for
+// the remaining error on a half-resolution grid (recursively), where it
+// varies quickly again, and adds it back. The coarse grids are built from
+// the fine grid's cells rather than from the plan, so walls too thin to
+// survive halving still block there. Conjugate gradients with one V-cycle
+// per iteration settles in a few dozen iterations whatever the grid size,
+// where plain SOR needs hundreds of sweeps that grow with it.
+
+const COARSEST = 12; // cells across the smallest grid
+
+// How far a unit of flow modifier lifts (plants, mirrors) or drops (poison
+// arrows) an open cell's potential above its neighbors' average
+const MOD_GAIN_POSITIVE = 2;
+const MOD_GAIN_NEGATIVE = 3;
+
+// Best SOR factor for Laplace's equation on a w×h grid, from the spectral
+// radius of the Jacobi iteration. Rooms are smaller than the grid, so this
+// errs high, which costs less than erring low.
+export function optimalOmega(w, h) {
+  const rho = (Math.cos(Math.PI / w) + Math.cos(Math.PI / h)) / 2;
+  return 2 / (1 + Math.sqrt(1 - rho * rho));
+}
+
+// Solve in place on the grid's arrays. `phi` must hold the fixed values on
+// wall and source cells; the rest is the starting guess.
+// The residual is the largest change a relaxation sweep would still make to
+// any cell, in potential units (sources sit at up to 100).
+// Returns { iterations, residual, converged, levels, method }; the method is
+// 'multigrid', or 'sor' if the multigrid solve broke down and plain
+// relaxation (at `omega`, by default the optimal one) finished the job.
+export function solvePotential({ w, h, phi, cells, sources, mods }, {
+  tolerance = 1e-4,
+  maxIterations = 3000,
+  omega = null,
+  onProgress = null,
+} = {}) {
+  const levels = [fineLevel(w, h, cells, sources, mods)];
+  while (Math.min(levels[levels.length - 1].w, levels[levels.length - 1].h) >= 2 * COARSEST) {
+    levels.push(coarsen(levels[levels.length - 1]));
+  }
+  const fine = levels[0];
+  const progress = progressTracker(tolerance, onProgress);
+
+  // Work in double precision; the grid stores singles
+  const x = Float64Array.from(phi);
+  const n = w * h;
+  const r = new Float64Array(n);
+  const z = new Float64Array(n);
+  const p = new Float64Array(n);
+  const q = new Float64Array(n);
+
+  residualOf(fine, x, fine.rhs, r);
+  let residual = largestUpdate(fine, r);
+  let iterations = 0;
+  let method = 'multigrid';
+  if (residual > tolerance) {
+    precondition(levels, r, z);
+    p.set(z);
+    let rz = dot(fine, r, z);
+    while (iterations < maxIterations && residual > tolerance) {
+      applyOperator(fine, p, q);
+      const pq = dot(fine, p, q);
+      if (!(pq > 0) || !(rz > 0)) break; // lost to rounding
+      const alpha = rz / pq;
+      for (let i = 0; i < n; i++) {
+        if (fine.fixed[i]) continue;
+        x[i] += alpha * p[i];
+        r[i] -= alpha * q[i];
+      }
+      iterations++;
+      residual = largestUpdate(fine, r);
+      progress(residual);
+      if (residual <= tolerance) break;
+      precondition(levels, r, z);
+      const next = dot(fine, r, z);
+      const beta = next / rz;
+      rz = next;
+      for (let i = 0; i < n; i++) p[i] = z[i] + beta * p[i];
+    }
+  }
+
+  // Relaxation picks up where the cycles left off
+  if (residual > tolerance) {
+    method = 'sor';
+    const factor = omega ?? optimalOmega(w, h);
+    while (iterations < maxIterations && residual > tolerance) {
+      residual = sweep(fine, x, fine.rhs, factor, true);
+      iterations++;
+      progress(residual);
+    }
+  }
+
+  phi.set(x);
+  return { iterations, residual, converged: residual <= tolerance, levels: levels.length, method };
+}
+
+// Report progress as the share of the way, in orders of magnitude, from the
+// first residual down to the tolerance
+function progressTracker(tolerance, onProgress) {
+  let first = null;
+  let done = 0;
+  return (residual) => {
+    if (!onProgress) return;
+    if (first === null) first = residual;
+    const span = Math.log(first / tolerance);
+    const fraction = span > 0 ? Math.log(first / residual) / span : 1;
+    done = Math.max(done, Math.min(1, fraction));
+    onProgress(done, residual);
+  };
+}
+
+// --- Levels ---
+//
+// A level holds, per cell: whether its value is fixed, the conductance of
+// its east and south faces, and the diagonal (everything it conducts to,
+// fixed neighbors included). Only the finest level's fixed cells hold a
+// potential; below it the unknown is a correction, zero on fixed cells.
+
+function fineLevel(w, h, cells, sources, mods) {
+  const n = w * h;
+  const fixed = new Uint8Array(n);
+  const conductivity = new Float32Array(n);
+  const rhs = new Float64Array(n);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      const edge = x === 0 || y === 0 || x === w - 1 || y === h - 1;
+      if (edge || cells[i] >= 1 || sources[i] !== 0) {
+        fixed[i] = 1;
+        continue;
+      }
+      conductivity[i] = 1 - cells[i];
+      const gain = mods[i] > 0 ? MOD_GAIN_POSITIVE : MOD_GAIN_NEGATIVE;
+      rhs[i] = 4 * mods[i] * gain; // four open faces: the average gets mods × gain
+    }
+  }
+
+  // Faces: the harmonic mean between two free cells; the free cell's own
+  // conductivity against a fixed one
+  const face = (i, j) => {
+    if (fixed[i] && fixed[j]) return 0;
+    if (fixed[i]) return conductivity[j];
+    if (fixed[j]) return conductivity[i];
+    const a = conductivity[i], b = conductivity[j];
+    return a + b > 0 ? 2 * a * b / (a + b) : 0;
+  };
+  const east = new Float64Array(n);
+  const south = new Float64Array(n);
+  const diagonal = new Float64Array(n);
+  for (let y = 0; y < h - 1; y++) {
+    for (let x = 0; x < w - 1; x++) {
+      const i = y * w + x;
+      east[i] = face(i, i + 1);
+      south[i] = face(i, i + w);
+    }
+  }
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      diagonal[i] = east[i] + east[i - 1] + south[i] + south[i - w];
+    }
+  }
+  return { w, h, fixed, east, south, diagonal, rhs, ...scratch(n) };
+}
+
+// Half-resolution level, built from the level above: a coarse cell gathers
+// the free cells of a 2×2 block. It conducts to a neighbor through the faces
+// between their free cells, and drains to fixed cells through theirs.
+function coarsen(fine) {
+  // Blocks pair up the fine interior cells, leaving room for a ring of
+  // fixed cells around them as on the finest level
+  const w = ((fine.w - 1) >> 1) + 2;
+  const h = ((fine.h - 1) >> 1) + 2;
+  const n = w * h;
+  const level = {
+    w, h,
+    fixed: new Uint8Array(n).fill(1),
+    east: new Float64Array(n),
+    south: new Float64Array(n),
+    diagonal: new Float64Array(n),
+    ...scratch(n),
+  };
+  const coarseOf = blockIndex(fine, level);
+  for (let fy = 1; fy < fine.h - 1; fy++) {
+    for (let fx = 1; fx < fine.w - 1; fx++) {
+      const j = fy * fine.w + fx;
+      if (fine.fixed[j]) continue;
+      const i = coarseOf(j);
+      level.fixed[i] = 0;
+      level.diagonal[i] += fine.diagonal[j];
+      // Faces to free cells: inside the block they cancel out of the
+      // diagonal, across it they join the coarse face
+      for (const [k, face, coarseFace] of [[j + 1, fine.east[j], level.east], [j + fine.w, fine.south[j], level.south]]) {
+        if (fine.fixed[k]) continue;
+        if (coarseOf(k) === i) level.diagonal[i] -= 2 * face; // this cell's side and k's
+        else coarseFace[i] += face;
+      }
+    }
+  }
+  return level;
+}
+
+function scratch(n) {
+  return { x: new Float64Array(n), b: new Float64Array(n), r: new Float64Array(n) };
+}
+
+// Maps a fine cell index to the index of the coarse cell its block makes up
+function blockIndex(fine, coarse) {
+  return (j) => ((Math.floor(j / fine.w) + 1) >> 1) * coarse.w + (((j % fine.w) + 1) >> 1);
+}
+
+// --- Cycle ---
+
+// z ≈ A⁻¹ r by one V-cycle from zero. Sweeping forward on the way down and
+// backward on the way up keeps it symmetric, as conjugate gradients needs.
+function precondition(levels, r, z) {
+  z.fill(0);
+  vCycle(levels, 0, z, r);
+}
+
+function vCycle(levels, l, x, b) {
+  const level = levels[l];
+  if (l === levels.length - 1) {
+    // Fixed number of symmetric sweeps, so the cycle stays a fixed operator
+    const omega = optimalOmega(level.w, level.h);
+    for (let s = 0; s < level.w + level.h; s++) {
+      sweep(level, x, b, omega, true);
+      sweep(level, x, b, omega, false);
+    }
+    return;
+  }
+
+  sweep(level, x, b, 1, true);
+  residualOf(level, x, b, level.r);
+
+  // Solve for the error on the coarse grid, starting from none
+  const coarse = levels[l + 1];
+  const coarseOf = blockIndex(level, coarse);
+  coarse.b.fill(0);
+  for (let j = 0; j < level.r.length; j++) {
+    if (!level.fixed[j]) coarse.b[coarseOf(j)] += level.r[j];
+  }
+  coarse.x.fill(0);
+  vCycle(levels, l + 1, coarse.x, coarse.b);
+  for (let j = 0; j < x.length; j++) {
+    if (!level.fixed[j]) x[j] += coarse.x[coarseOf(j)];
+  }
+
+  sweep(level, x, b, 1, false);
+}
+
+// One Gauss-Seidel sweep with relaxation factor `omega`, forward or
+// backward; returns the largest change it made
+function sweep(level, x, b, omega, forward) {
+  const { w, h, fixed, east, south, diagonal } = level;
+  let largest = 0;
+  const first = w + 1, last = (h - 1) * w - 2;
+  for (let i = forward ? first : last; forward ? i <= last : i >= first; i += forward ? 1 : -1) {
+    if (fixed[i] || diagonal[i] === 0) continue;
+    const pull = east[i] * x[i + 1] + east[i - 1] * x[i - 1] +
+      south[i] * x[i + w] + south[i - w] * x[i - w];
+    const change = (pull + b[i]) / diagonal[i] - x[i];
+    if (Math.abs(change) > largest) largest = Math.abs(change);
+    x[i] += omega * change;
+  }
+  return largest;
+}
+
+// out = b - A x on the free cells
+function residualOf(level, x, b, out) {
+  const { w, h, fixed, east, south, diagonal } = level;
+  out.fill(0);
+  for (let i = w + 1; i < (h - 1) * w - 1; i++) {
+    if (fixed[i]) continue;
+    const pull = east[i] * x[i + 1] + east[i - 1] * x[i - 1] +
+      south[i] * x[i + w] + south[i - w] * x[i - w];
+    out[i] = b[i] + pull - diagonal[i] * x[i];
+  }
+}
+
+// out = A v for a vector that is zero on the fixed cells
+function applyOperator(level, v, out) {
+  const { w, h, fixed, east, south, diagonal } = level;
+  out.fill(0);
+  for (let i = w + 1; i < (h - 1) * w - 1; i++) {
+    if (fixed[i]) continue;
+    out[i] = diagonal[i] * v[i] - (east[i] * v[i + 1] + east[i - 1] * v[i - 1] +
+      south[i] * v[i + w] + south[i - w] * v[i - w]);
+  }
+}
+
+function dot(level, a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!level.fixed[i]) sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// The change a Jacobi sweep would make: residual over diagonal
+function largestUpdate(level, r) {
+  let largest = 0;
+  for (let i = 0; i < r.length; i++) {
+    if (level.fixed[i] || level.diagonal[i] === 0) continue;
+    largest = Math.max(largest, Math.abs(r[i] / level.diagonal[i]));
+  }
+  return largest;
+}
@@ -0,0 +1,223 @@
+// Openings — doors and windows hosted on walls
+// An opening stores its host wall's id, the distance along the wall from
+// (x1, y1) to its center, and its width. Its own x1..y2 are derived from the
+// host by placeOpening(), so code that only draws or rasterizes openings can
+// keep treating them as plain segments.
+//
+// Doors also carry:
+//   hinge: 'start' | 'end'   — end of the opening (in wall direction) the leaf hangs from
+//   swing: 'left' | 'right'  — side of the wall the leaf opens into, looking from x1,y1 to x2,y2
+
+import { toWorld } from './units.js';
+
+export const DOOR_WIDTH = 0.9;   // meters
+export const WINDOW_WIDTH = 1.2; // meters
+const ATTACH_DISTANCE = 6; // world units — older free-standing openings this close to a wall attach to it
+
+export function newId(prefix) {
+  return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+export function ensureWallIds(walls) {
+  for (const w of walls) {
+    if (!w.id) w.id = newId('w');
+  }
+}
+
+// Distance of a point along the wall from its start, and from the wall itself
+export function projectOnWall(wall, x, y) {
+  const dx = wall.x2 - wall.x1;
+  const dy = wall.y2 - wall.y1;
+  const len = Math.hypot(dx, dy);
+  if (len === 0) return { along: 0, dist: Math.hypot(x - wall.x1, y - wall.y1), len };
+  const along = ((x - wall.x1) * dx + (y - wall.y1) * dy) / len;
+  const t = Math.max(0, Math.min(1, along / len));
+  const dist = Math.hypot(x - (wall.x1 + t * dx), y - (wall.y1 + t * dy));
+  return { along, dist, len };
+}
+
+// Nearest wall within maxDist of a point: { wall, along } or null
+export function findHostWall(walls, x, y, maxDist) {
+  let best = null;
+  let bestDist = maxDist;
+  for (const wall of walls) {
+    const p = projectOnWall(wall, x, y);
+    if (p.len > 0 && p.dist <= bestDist) {
+      best = { wall, along: p.along };
+      bestDist = p.dist;
+    }
+  }
+  return best;
+}
+
+// Side of the wall facing the middle of the plan, so new doors swing inward
+export function inwardSide(wall, walls) {
+  let cx = 0, cy = 0;
+  for (const w of walls) {
+    cx += w.x1 + w.x2;
+    cy += w.y1 + w.y2;
+  }
+  cx /= walls.length * 2;
+  cy /= walls.length * 2;
+  const cross = (wall.x2 - wall.x1) * (cy - wall.y1) - (wall.y2 - wall.y1) * (cx - wall.x1);
+  // Screen coordinates (y down): positive cross is to the right of travel
+  return cross >= 0 ? 'right' : 'left';
+}
+
+// kind: 'door' | 'window'; `along` is the requested center position
+export function createOpening(kind, wall, along, units, walls = [wall]) {
+  const width = toWorld(kind === 'door' ? DOOR_WIDTH : WINDOW_WIDTH, units);
+  const opening = { id: newId(kind[0]), wallId: wall.id, offset: along, width };
+  if (kind === 'door') {
+    opening.hinge = 'start';
+    opening.swing = inwardSide(wall, walls);
+  }
+  return placeOpening(opening, wall);
+}
+
+// Width and center offset of an opening as it fits on a wall `len` long:
+// no wider than the wall and wholly on it
+export function fitOnWall(opening, len) {
+  const width = Math.min(opening.width, len);
+  const offset = Math.max(width / 2, Math.min(len - width / 2, opening.offset));
+  return { width, offset };
+}
+
+// Recompute the opening's end points, fitted onto its wall. Its stored width
+// and offset stay as they are, so a door squeezed while its wall is dragged
+// shorter gets its size back when the wall grows again.
+export function placeOpening(opening, wall) {
+  const dx = wall.x2 - wall.x1;
+  const dy = wall.y2 - wall.y1;
+  const len = Math.hypot(dx, dy);
+  const { width, offset } = fitOnWall(opening, len);
+  const ux = len > 0 ? dx / len : 0;
+  const uy = len > 0 ? dy / len : 0;
+  const a = offset - width / 2;
+  const b = offset + width / 2;
+  opening.x1 = wall.x1 + ux * a;
+  opening.y1 = wall.y1 + uy * a;
+  opening.x2 = wall.x1 + ux * b;
+  opening.y2 = wall.y1 + uy * b;
+  return opening;
+}
+
+// Re-place every hosted opening after walls changed. Openings whose wall is
+// gone are dropped; free-standing ones (wallId null) are kept as they are.
+export function updateOpenings(openings, walls) {
+  const byId = new Map(walls.map(w => [w.id, w]));
+  return openings.filter((o) => {
+    if (!o.wallId) return true;
+    const wall = byId.get(o.wallId);
+    if (!wall) return false;
+    placeOpening(o, wall);
+    return true;
+  });
+}
+
+// Move openings hosted on the walls in `fromIds` to whichever of `walls`
+// passes closest to their current centers (after a split or merge)
+export function rehostOpenings(openings, fromIds, walls) {
+  for (const o of openings) {
+    if (!fromIds.includes(o.wallId)) continue;
+    const host = findHostWall(walls, (o.x1 + o.x2) / 2, (o.y1 + o.y2) / 2, Infinity);
+    if (!host) continue;
+    // Keep the leaf on the same side if the new wall runs the other way
+    const old = { x: o.x2 - o.x1, y: o.y2 - o.y1 };
+    const reversed = old.x * (host.wall.x2 - host.wall.x1) + old.y * (host.wall.y2 - host.wall.y1) < 0;
+    if (reversed && o.hinge) {
+      o.hinge = o.hinge === 'start' ? 'end' : 'start';
+      o.swing = o.swing === 'left' ? 'right' : 'left';
+    }
+    o.wallId = host.wall.id;
+    o.offset = host.along;
+  }
+}
+
+// Solid parts of a wall once its openings are cut out: [{ x1, y1, x2, y2 }]
+export function wallSpans(wall, openings) {
+  const len = Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1);
+  const gaps = openings
+    .filter(o => o.wallId && o.wallId === wall.id)
+    .map((o) => {
+      const { width, offset } = fitOnWall(o, len);
+      return [offset - width / 2, offset + width / 2];
+    })
+    .sort((a, b) => a[0] - b[0]);
+  if (gaps.length === 0 || len === 0) return [wall];
+
+  const point = (d) => ({
+    x: wall.x1 + (wall.x2 - wall.x1) * d / len,
+    y: wall.y1 + (wall.y2 - wall.y1) * d / len,
+  });
+  const spans = [];
+  let from = 0;
+  for (const [a, b] of gaps) {
+    if (a > from) {
+      const p = point(from);
+      const q = point(a);
+      spans.push({ x1: p.x, y1: p.y, x2: q.x, y2: q.y });
+    }
+    from = Math.max(from, b);
+  }
+  if (from < len) {
+    const p = point(from);
+    spans.push({ x1: p.x, y1: p.y, x2: wall.x2, y2: wall.y2 });
+  }
+  return spans;
+}
+
+// Door leaf geometry for drawing: hinge point, radius (= width), the angle of
+// the closed leaf (along the opening) and of the open leaf (90° into the room),
+// and whether the sweep from closed to open runs counterclockwise on screen
+export function doorSwing(door) {
+  const atEnd = door.hinge === 'end';
+  const hx = atEnd ? door.x2 : door.x1;
+  const hy = atEnd ? door.y2 : door.y1;
+  const dx = door.x2 - door.x1;
+  const dy = door.y2 - door.y1;
+  const r = Math.hypot(dx, dy);
+  // Right of travel in screen coordinates is (-dy, dx)
+  const side = door.swing === 'left' ? -1 : 1;
+  const closedAngle = Math.atan2(atEnd ? -dy : dy, atEnd ? -dx : dx);
+  const openAngle = Math.atan2(dx * side, -dy * side);
+  // Shortest way round from closed to open is ±90°
+  let delta = openAngle - closedAngle;
+  while (delta > Math.PI) delta -= Math.PI * 2;
+  while (delta < -Math.PI) delta += Math.PI * 2;
+  return {
+    hx, hy, r, closedAngle, openAngle,
+    counterclockwise: delta < 0,
+    leafX: hx + Math.cos(openAngle) * r,
+    leafY: hy + Math.sin(openAngle) * r,
+  };
+}
+
+// Attach free-standing openings from older plans to the wall they lie on.
+// Returns a new scene; walls get ids if they don't have them yet.
+export function attachOpenings(scene) {
+  const walls = scene.walls.map(w => ({ ...w }));
+  ensureWallIds(walls);
+  const attach = (kind) => (o) => {
+    if (o.wallId !== undefined) return { ...o };
+    const host = findHostWall(walls, (o.x1 + o.x2) / 2, (o.y1 + o.y2) / 2, ATTACH_DISTANCE);
+    if (!host) return { ...o, wallId: null }; // left free-standing
+    const opening = {
+      id: newId(kind[0]),
+      wallId: host.wall.id,
+      offset: host.along,
+      width: Math.hypot(o.x2 - o.x1, o.y2 - o.y1),
+    };
+    if (kind === 'door') {
+      opening.hinge = 'start';
+      opening.swing = inwardSide(host.wall, walls);
+    }
+    return placeOpening(opening, host.wall);
+  };
+  return {
+    ...scene,
+    walls,
+    doors: scene.doors.map(attach('door')),
+    windows: scene.windows.map(attach('window')),
+  };
+}
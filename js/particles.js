@@ -45,9 +45,11 @@ export class ParticleSystem {
   update(dt = 1) {
     const g = this.grid;
     const maxSpeed = g.getMaxSpeed();
-    // Scale so fastest particles move ~5 grid cells per frame
-    // On a 200-cell grid that means crossing the room in ~40 frames (<1 sec)
-    const moveScale = maxSpeed > 0 ? 5.0 / maxSpeed : 1;
+    // Scale so fastest particles move ~5 grid cells per frame on a 200-cell
+    // grid, crossing the room in ~40 frames (<1 sec). Finer grids move more
+    // cells per frame so particles look the same at any quality.
+    const cellScale = Math.max(g.width, g.height) / 200;
+    const moveScale = maxSpeed > 0 ? 5.0 * cellScale / maxSpeed : 1;
 
     // Spawn new particles
     while (this.particles.length < this.maxParticles) {
@@ -85,8 +87,8 @@ export class ParticleSystem {
         p.stagnantFrames = 0;
       } else {
         // Gentle random drift in stagnant areas
-        p.x += (Math.random() - 0.5) * 0.15;
-        p.y += (Math.random() - 0.5) * 0.15;
+        p.x += (Math.random() - 0.5) * 0.15 * cellScale;
+        p.y += (Math.random() - 0.5) * 0.15 * cellScale;
         p.stagnantFrames++;
       }
 
@@ -114,6 +116,7 @@ export class ParticleSystem {
 
   render(ctx, transform) {
     const { offsetX, offsetY, scaleX, scaleY } = transform;
+    const lineScale = transform.lineScale || 1; // widen strokes for hi-res output
     const g = this.grid;
     const maxSpeed = g.getMaxSpeed();
 
@@ -160,13 +163,13 @@ export class ParticleSystem {
       ctx.lineTo(offsetX + p.x * scaleX, offsetY + p.y * scaleY);
 
       // Trail thickness varies with speed
-      const trailWidth = 1 + speedRatio * 1.5;
+      const trailWidth = (1 + speedRatio * 1.5) * lineScale;
       ctx.strokeStyle = `hsla(${hue}, ${sat}%, ${light}%, ${alpha * 0.5})`;
       ctx.lineWidth = trailWidth;
       ctx.stroke();
 
       // Draw particle head — larger when moving fast
-      const headSize = 1.5 + speedRatio * 2;
+      const headSize = (1.5 + speedRatio * 2) * lineScale;
       ctx.beginPath();
       ctx.arc(offsetX + p.x * scaleX, offsetY + p.y * scaleY, headSize, 0, Math.PI * 2);
       ctx.fillStyle = `hsla(${hue}, ${sat}%, ${light + 15}%, ${alpha})`;
@@ -0,0 +1,219 @@
+// Project files — versioned JSON save/load of a whole floor plan
+//
+// A project file is a single JSON object:
+//
+//   {
+//     "format": "feng-shui-flow",
+//     "version": 7,
+//     "savedAt": "2026-01-01T12:00:00.000Z",
+//     "scene": {
+//       "walls":     [{ "id", "x1", "y1", "x2", "y2" }],
+//       "doors":     [{ "id", "wallId", "offset", "width", "hinge", "swing", "main", "x1", "y1", "x2", "y2" }],
+//       "windows":   [{ "id", "wallId", "offset", "width", "x1", "y1", "x2", "y2" }],
+//       "furniture": [{ "id", "type", "label", "x", "y", "width", "height", "rotation", "shape", ... }],
+//       "background": { "src": "data:image/png;base64,...", "opacity": 0.3 } | null,
+//       "units":     { "system": "metric" | "imperial", "unitsPerMeter": 40 },
+//       "compass":   { "school": "western" | "compass", "north": 0, "period": 9, "year": 2026 },
+//       "occupants": [{ "id", "name", "birthYear", "gender": "male" | "female" }]
+//     },
+//     "view":   { "panX": 0, "panY": 0, "zoom": 1 },
+//     "layers": { "particles": true, "heatmap": false, "bagua": false },
+//     "variants": { "active": "v1", "list": [{ "id", "name", "scene" }] } | null
+//   }
+//
+// Coordinates are world units; scene.units gives the plan's real-world scale.
+// scene.compass picks the bagua school, where north points on the plan
+// (degrees clockwise from up) and the Flying Star period and year
+// (compass.js). Occupants give the Kua numbers checked in kua.js.
+// Compass settings out of range fall back to their defaults, and occupants
+// without a usable birth year or gender are dropped, when a file is read.
+// Furniture x/y/width/height give the unrotated box; rotation (degrees,
+// clockwise) turns it about its center (see geometry.js).
+// Doors and windows sit on a host wall (see openings.js); their x1..y2 are
+// derived from it and only kept so the file reads on its own.
+// Variants are other layouts of the same plan (variants.js); the active one
+// is `scene` itself and has no scene of its own in the list. Migrations that
+// change the scene's shape must upgrade variant scenes too.
+// Furniture instances carry every catalog
+// property they were created with, so a file opens the same even if the
+// catalog changes later.
+//
+// Versioning: bump PROJECT_VERSION whenever the shape changes and add a
+// MIGRATIONS entry that upgrades a file from the previous version. Version 0
+// is the unversioned { walls, doors, windows, furniture } shape used by the
+// built-in templates.
+
+import { defaultUnits } from './units.js';
+import { attachOpenings } from './openings.js';
+import { FURNITURE_CATALOG } from './furniture.js';
+import { defaultCompass, normalizeCompass } from './compass.js';
+import { validOccupants } from './kua.js';
+
+export const PROJECT_FORMAT = 'feng-shui-flow';
+export const PROJECT_VERSION = 7;
+
+// MIGRATIONS[n] upgrades a version n file to version n + 1
+const MIGRATIONS = {
+  0: (data) => ({
+    format: PROJECT_FORMAT,
+    version: 1,
+    scene: {
+      walls: data.walls || [],
+      doors: data.doors || [],
+      windows: data.windows || [],
+      furniture: data.furniture || [],
+      background: null,
+    },
+  }),
+  // v2 adds the real-world scale; older plans were drawn at the default one
+  1: (data) => ({
+    ...data,
+    version: 2,
+    scene: { ...data.scene, units: defaultUnits() },
+  }),
+  // v3 hosts doors and windows on walls instead of free-standing segments
+  2: (data) => ({
+    ...data,
+    version: 3,
+    scene: attachOpenings(data.scene),
+  }),
+  // v4 rotates furniture about its center. Before, a quarter turn swapped
+  // width and height instead, so undo that swap to keep the same footprint.
+  3: (data) => ({
+    ...data,
+    version: 4,
+    scene: {
+      ...data.scene,
+      furniture: data.scene.furniture.map((f) => {
+        if (f.rotation !== 90 && f.rotation !== 270) return f;
+        const cx = f.x + f.width / 2;
+        const cy = f.y + f.height / 2;
+        return { ...f, width: f.height, height: f.width, x: cx - f.height / 2, y: cy - f.width / 2 };
+      }),
+    },
+  }),
+  // v5 gives furniture placed before the five elements the elements of its
+  // catalog piece
+  4: (data) => ({ ...data, version: 5, scene: withElements(data.scene) }),
+  // v6 adds the bagua school and ties the plan to the compass
+  5: (data) => ({
+    ...data,
+    version: 6,
+    scene: { ...data.scene, compass: defaultCompass() },
+  }),
+  // v7 adds layout variants
+  6: (data) => ({ ...data, version: 7, variants: null }),
+};
+
+function withElements(scene) {
+  return {
+    ...scene,
+    furniture: scene.furniture.map((f) => {
+      const piece = FURNITURE_CATALOG.find(p => p.type === f.type);
+      if (!piece) return f;
+      const filled = { ...f };
+      for (const key of ['element', 'colorElement', 'materialElement']) {
+        if (filled[key] === undefined && piece[key] !== undefined) filled[key] = piece[key];
+      }
+      return filled;
+    }),
+  };
+}
+
+// Build a project object from the live app state. With includeBackground
+// false the image itself is left out (local storage keeps the blob instead).
+export function serializeProject({ editor, canvas, layers, variants = null, includeBackground = true }) {
+  const bg = editor.backgroundImage;
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    scene: {
+      ...editor.getScene(),
+      background: bg ? {
+        ...(includeBackground && { src: imageToDataURL(bg) }),
+        opacity: editor.backgroundOpacity,
+      } : null,
+    },
+    view: canvas ? { panX: canvas.panX, panY: canvas.panY, zoom: canvas.zoom } : null,
+    layers: layers ? { ...layers } : null,
+    variants: variants ? variants.serialize() : null,
+  };
+}
+
+// Parse and upgrade project JSON text to the current version
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Not a valid project file (invalid JSON)');
+  }
+  return migrateProject(data);
+}
+
+export function migrateProject(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Not a valid project file');
+  }
+  if (data.format !== undefined && data.format !== PROJECT_FORMAT) {
+    throw new Error(`Unknown project format "${data.format}"`);
+  }
+
+  let version = data.version ?? 0;
+  if (version > PROJECT_VERSION) {
+    throw new Error(`Project was saved by a newer version (v${version}) of this app`);
+  }
+
+  let project = data;
+  while (version < PROJECT_VERSION) {
+    project = MIGRATIONS[version](project);
+    version = project.version;
+  }
+
+  const scene = project.scene || {};
+  if (!Array.isArray(scene.walls) || !Array.isArray(scene.doors) ||
+      !Array.isArray(scene.windows) || !Array.isArray(scene.furniture)) {
+    throw new Error('Project file is missing scene data');
+  }
+  const list = project.variants?.list;
+  return {
+    ...project,
+    scene: withValidChart(scene),
+    variants: Array.isArray(list)
+      ? { ...project.variants, list: list.map(v => (v?.scene ? { ...v, scene: withValidChart(v.scene) } : v)) }
+      : null,
+  };
+}
+
+// The compass and occupants feed the charts, which can't work from bad values
+function withValidChart(scene) {
+  return { ...scene, compass: normalizeCompass(scene.compass), occupants: validOccupants(scene.occupants) };
+}
+
+// Load an image from a data URL (or any URL) — resolves to an HTMLImageElement
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not load background image'));
+    img.src = src;
+  });
+}
+
+export function dataURLToBlob(dataURL) {
+  const [header, base64] = dataURL.split(',');
+  const mime = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+  const bytes = atob(base64);
+  const buf = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) buf[i] = bytes.charCodeAt(i);
+  return new Blob([buf], { type: mime });
+}
+
+function imageToDataURL(img) {
+  const c = document.createElement('canvas');
+  c.width = img.naturalWidth || img.width;
+  c.height = img.naturalHeight || img.height;
+  c.getContext('2d').drawImage(img, 0, 0);
+  return c.toDataURL('image/png');
+}
@@ -0,0 +1,76 @@
+// Room mask — which parts of the plan lie inside the walls
+// Walls are rasterized onto a coarse grid and everything reachable from the
+// border without crossing one is outside. Doors and windows don't let the
+// fill through; they sit on walls that are rasterized whole.
+
+const MASK_CELLS = 80; // cells along the plan's longer side
+
+// Returns { x0, y0, cell, cols, rows, inside } or null when the walls don't
+// enclose anything (an unfinished plan), in which case callers should treat
+// the whole bounding box as inside
+export function roomMask(walls) {
+  if (walls.length === 0) return null;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const w of walls) {
+    minX = Math.min(minX, w.x1, w.x2);
+    minY = Math.min(minY, w.y1, w.y2);
+    maxX = Math.max(maxX, w.x1, w.x2);
+    maxY = Math.max(maxY, w.y1, w.y2);
+  }
+  const cell = Math.max(maxX - minX, maxY - minY) / MASK_CELLS;
+  if (!(cell > 0)) return null;
+
+  // One empty cell of padding all round so the fill can get everywhere outside
+  const x0 = minX - cell;
+  const y0 = minY - cell;
+  const cols = Math.ceil((maxX - minX) / cell) + 3;
+  const rows = Math.ceil((maxY - minY) / cell) + 3;
+  const wall = new Uint8Array(cols * rows);
+  for (const w of walls) {
+    const len = Math.hypot(w.x2 - w.x1, w.y2 - w.y1);
+    // Half-cell steps leave no diagonal gaps for the 4-connected fill
+    const steps = Math.max(1, Math.ceil(len / (cell / 2)));
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      const i = Math.floor((w.x1 + (w.x2 - w.x1) * t - x0) / cell);
+      const j = Math.floor((w.y1 + (w.y2 - w.y1) * t - y0) / cell);
+      wall[j * cols + i] = 1;
+    }
+  }
+
+  const outside = new Uint8Array(cols * rows);
+  const stack = [0];
+  outside[0] = 1;
+  while (stack.length > 0) {
+    const k = stack.pop();
+    const i = k % cols;
+    const j = (k - i) / cols;
+    const visit = (n) => {
+      if (!outside[n] && !wall[n]) {
+        outside[n] = 1;
+        stack.push(n);
+      }
+    };
+    if (i > 0) visit(k - 1);
+    if (i < cols - 1) visit(k + 1);
+    if (j > 0) visit(k - cols);
+    if (j < rows - 1) visit(k + cols);
+  }
+
+  const inside = new Uint8Array(cols * rows);
+  let enclosed = 0;
+  for (let k = 0; k < inside.length; k++) {
+    inside[k] = outside[k] ? 0 : 1;
+    if (inside[k] && !wall[k]) enclosed++;
+  }
+  if (enclosed === 0) return null;
+  return { x0, y0, cell, cols, rows, inside };
+}
+
+export function isInside(mask, x, y) {
+  if (!mask) return true;
+  const i = Math.floor((x - mask.x0) / mask.cell);
+  const j = Math.floor((y - mask.y0) / mask.cell);
+  if (i < 0 || j < 0 || i >= mask.cols || j >= mask.rows) return false;
+  return mask.inside[j * mask.cols + i] === 1;
+}
@@ -0,0 +1,460 @@
+// Rule engine — checks the plan (and the flow field, once simulated) against
+// common feng shui rules and reports issues
+//
+// A rule is { id, name, needsFlow, check(context) } where check returns a
+// list of issues:
+//
+//   { severity: 'high' | 'medium' | 'low', title, message, x, y, path? }
+//
+// x, y is the world point the issue is about; `path` ([{ x, y }, ...]) is an
+// optional line to draw with it, e.g. between two aligned openings. Rules
+// are kept in a registry so new ones can be added with registerRule().
+//
+// context: { walls, doors, windows, furniture, units, mask, flow } where mask
+// is the room mask (room.js) and flow is { grid, roomBounds } after a
+// simulation, or null — rules with needsFlow are skipped until then.
+
+import { mainDoor } from './bagua.js';
+import { center, rotatePoint, outline, midpoint, crosses } from './geometry.js';
+import { roomMask, isInside } from './room.js';
+import { toWorld } from './units.js';
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+const rules = [];
+
+export function registerRule(rule) {
+  const i = rules.findIndex(r => r.id === rule.id);
+  if (i >= 0) rules[i] = rule;
+  else rules.push(rule);
+}
+
+export function getRules() {
+  return [...rules];
+}
+
+export function buildContext({ walls, doors, windows, furniture, units }, flow = null) {
+  return { walls, doors, windows, furniture, units, mask: roomMask(walls), flow };
+}
+
+// All issues from every applicable rule, most severe first
+export function evaluateRules(context) {
+  const issues = [];
+  for (const rule of rules) {
+    if (rule.needsFlow && !context.flow) continue;
+    for (const issue of rule.check(context)) {
+      issues.push({ rule: rule.id, ...issue });
+    }
+  }
+  return issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+// --- Geometry helpers ---
+
+function unit(s) {
+  const len = Math.hypot(s.x2 - s.x1, s.y2 - s.y1) || 1;
+  return { x: (s.x2 - s.x1) / len, y: (s.y2 - s.y1) / len, len };
+}
+
+function clearLine(a, b, walls, ignoreIds) {
+  return !walls.some(w => !ignoreIds.includes(w.id) && crosses(a, b, w));
+}
+
+function name(f) {
+  return f.label || f.type;
+}
+
+// Flow speeds are judged against the median open cell: the fastest point
+// (right at a door) is orders of magnitude above the rest of the room
+const medians = new WeakMap();
+
+function medianSpeed(grid) {
+  if (!medians.has(grid.speed)) {
+    const open = [];
+    for (let i = 0; i < grid.cells.length; i++) {
+      if (grid.cells[i] < 1) open.push(grid.speed[i]);
+    }
+    open.sort((a, b) => a - b);
+    medians.set(grid.speed, open[open.length >> 1] || 0);
+  }
+  return medians.get(grid.speed);
+}
+
+// Flow speed relative to the median at a world position (null in a wall)
+function flowSampler({ grid, roomBounds }) {
+  const median = medianSpeed(grid) || 1;
+  return (x, y) => {
+    const gx = Math.round((x - roomBounds.x) * grid.width / roomBounds.width);
+    const gy = Math.round((y - roomBounds.y) * grid.height / roomBounds.height);
+    if (grid.isWall(gx, gy)) return null;
+    return grid.getSpeed(gx, gy) / median;
+  };
+}
+
+// --- Rules ---
+
+// A door straight across from another door or a window lets chi rush
+// through the room and out again without circulating
+registerRule({
+  id: 'door-alignment',
+  name: 'Aligned doors and windows',
+  check({ walls, doors, windows }) {
+    const issues = [];
+    const main = mainDoor(doors);
+    doors.forEach((door, i) => {
+      const u = unit(door);
+      const m = midpoint(door);
+      const others = [...doors.slice(i + 1).map(o => [o, 'door']), ...windows.map(o => [o, 'window'])];
+      for (const [other, kind] of others) {
+        if (other.wallId && other.wallId === door.wallId) continue;
+        const v = unit(other);
+        if (Math.abs(u.x * v.y - u.y * v.x) > 0.26) continue; // not parallel within 15°
+        const om = midpoint(other);
+        const across = Math.abs((om.x - m.x) * -u.y + (om.y - m.y) * u.x);
+        if (across < 1) continue;
+        // At least a quarter of the door must overlap the other opening
+        // projected straight across onto it
+        const a = (other.x1 - m.x) * u.x + (other.y1 - m.y) * u.y;
+        const b = (other.x2 - m.x) * u.x + (other.y2 - m.y) * u.y;
+        const overlap = Math.min(Math.max(a, b), u.len / 2) - Math.max(Math.min(a, b), -u.len / 2);
+        if (overlap < u.len / 4) continue;
+        if (!clearLine(m, om, walls, [door.wallId, other.wallId])) continue;
+
+        const isMain = door === main || other === main;
+        const what = isMain ? 'The main entrance' : 'A door';
+        issues.push({
+          severity: isMain ? 'high' : 'medium',
+          title: kind === 'door' ? 'Door lines up with a door' : 'Door lines up with a window',
+          message: `${what} faces a ${kind} straight across the room — chi rushes through and out. ` +
+            'Break the line with a plant, screen or rug.',
+          x: (m.x + om.x) / 2,
+          y: (m.y + om.y) / 2,
+          path: [m, om],
+        });
+      }
+    });
+    return issues;
+  },
+});
+
+// Long, narrow runs of fast flow — sha chi shooting down a corridor
+const BEAM_FAST = 5;        // times the median speed
+const BEAM_LENGTH = 3;      // meters
+const BEAM_ELONGATION = 3;  // length / width
+const WALL_MARGIN = 2;      // cells — the solver's field is unreliable right next to walls
+
+registerRule({
+  id: 'sha-chi-beam',
+  name: 'Sha chi beams',
+  needsFlow: true,
+  check({ flow, mask, units }) {
+    const { grid, roomBounds } = flow;
+    const median = medianSpeed(grid);
+    if (!(median > 0)) return [];
+    const sx = roomBounds.width / grid.width;
+    const sy = roomBounds.height / grid.height;
+    const nearWall = (gx, gy) => {
+      for (let dy = -WALL_MARGIN; dy <= WALL_MARGIN; dy++) {
+        for (let dx = -WALL_MARGIN; dx <= WALL_MARGIN; dx++) {
+          if (grid.isWall(gx + dx, gy + dy)) return true;
+        }
+      }
+      return false;
+    };
+    const fast = (k) => {
+      if (grid.speed[k] < median * BEAM_FAST) return false;
+      const gx = k % grid.width;
+      const gy = (k - gx) / grid.width;
+      return !nearWall(gx, gy) && isInside(mask, roomBounds.x + gx * sx, roomBounds.y + gy * sy);
+    };
+    const seen = new Uint8Array(grid.cells.length);
+    const issues = [];
+
+    for (let start = 0; start < seen.length; start++) {
+      if (seen[start] || !fast(start)) continue;
+      // Collect the connected run of fast cells, in world coordinates
+      const points = [];
+      const stack = [start];
+      seen[start] = 1;
+      while (stack.length > 0) {
+        const k = stack.pop();
+        const gx = k % grid.width;
+        const gy = (k - gx) / grid.width;
+        points.push({ x: roomBounds.x + gx * sx, y: roomBounds.y + gy * sy });
+        for (const [nx, ny] of [[gx - 1, gy], [gx + 1, gy], [gx, gy - 1], [gx, gy + 1]]) {
+          const n = grid.idx(nx, ny);
+          if (grid.inBounds(nx, ny) && !seen[n] && fast(n)) {
+            seen[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+
+      const beam = principalAxis(points);
+      const length = beam.length;
+      if (length < toWorld(BEAM_LENGTH, units) || length < beam.width * BEAM_ELONGATION) continue;
+      issues.push({
+        severity: length >= toWorld(BEAM_LENGTH * 1.6, units) ? 'high' : 'medium',
+        title: 'Sha chi beam',
+        message: 'Chi shoots in a straight, fast line here. Slow it with a rug, plants or furniture that makes the path meander.',
+        x: beam.cx,
+        y: beam.cy,
+        path: [beam.from, beam.to],
+      });
+    }
+    return issues;
+  },
+});
+
+// Mean, extent along and across the main direction of a point cloud
+function principalAxis(points) {
+  let cx = 0, cy = 0;
+  for (const p of points) {
+    cx += p.x;
+    cy += p.y;
+  }
+  cx /= points.length;
+  cy /= points.length;
+  let xx = 0, xy = 0, yy = 0;
+  for (const p of points) {
+    xx += (p.x - cx) ** 2;
+    xy += (p.x - cx) * (p.y - cy);
+    yy += (p.y - cy) ** 2;
+  }
+  const angle = Math.atan2(2 * xy, xx - yy) / 2;
+  const d = { x: Math.cos(angle), y: Math.sin(angle) };
+  let minA = Infinity, maxA = -Infinity, minB = Infinity, maxB = -Infinity;
+  for (const p of points) {
+    const a = (p.x - cx) * d.x + (p.y - cy) * d.y;
+    const b = -(p.x - cx) * d.y + (p.y - cy) * d.x;
+    minA = Math.min(minA, a);
+    maxA = Math.max(maxA, a);
+    minB = Math.min(minB, b);
+    maxB = Math.max(maxB, b);
+  }
+  return {
+    cx, cy,
+    length: maxA - minA,
+    width: maxB - minB,
+    from: { x: cx + d.x * minA, y: cy + d.y * minA },
+    to: { x: cx + d.x * maxA, y: cy + d.y * maxA },
+  };
+}
+
+// Corners where two walls meet and the flow barely moves
+const CORNER_PROBE = 0.5;     // meters in from the corner
+const CORNER_STAGNANT = 0.35; // times the median speed
+
+registerRule({
+  id: 'stagnant-corner',
+  name: 'Stagnant corners',
+  needsFlow: true,
+  check({ walls, mask, flow, units }) {
+    const speedAt = flowSampler(flow);
+    const probe = toWorld(CORNER_PROBE, units);
+    const issues = [];
+    for (const corner of wallCorners(walls)) {
+      // Step in along the bisector, whichever way leads into the room
+      const { x, y, bx, by } = corner;
+      const inside = [1, -1]
+        .map(s => ({ x: x + bx * probe * s, y: y + by * probe * s }))
+        .find(p => isInside(mask, p.x, p.y));
+      if (!inside) continue;
+      const samples = [];
+      for (const [dx, dy] of [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const s = speedAt(inside.x + dx * probe / 2, inside.y + dy * probe / 2);
+        if (s !== null) samples.push(s);
+      }
+      if (samples.length === 0) continue;
+      const mean = samples.reduce((a, b) => a + b, 0) / samples.length;
+      if (mean >= CORNER_STAGNANT) continue;
+      issues.push({
+        severity: mean < CORNER_STAGNANT / 2 ? 'medium' : 'low',
+        title: 'Stagnant corner',
+        message: 'Chi collects and stalls in this corner. Add a lamp or a healthy plant, and keep it free of clutter.',
+        x: inside.x,
+        y: inside.y,
+      });
+    }
+    return issues;
+  },
+});
+
+// Points where exactly two walls meet at a real angle, with the unit
+// bisector of the corner
+function wallCorners(walls) {
+  const ends = [];
+  for (const w of walls) {
+    ends.push({ x: w.x1, y: w.y1, ox: w.x2, oy: w.y2 });
+    ends.push({ x: w.x2, y: w.y2, ox: w.x1, oy: w.y1 });
+  }
+  const corners = [];
+  const used = new Set();
+  ends.forEach((e, i) => {
+    if (used.has(i)) return;
+    const group = ends
+      .map((f, j) => [f, j])
+      .filter(([f]) => Math.hypot(f.x - e.x, f.y - e.y) < 1);
+    group.forEach(([, j]) => used.add(j));
+    if (group.length !== 2) return;
+    const dirs = group.map(([f]) => {
+      const len = Math.hypot(f.ox - f.x, f.oy - f.y) || 1;
+      return { x: (f.ox - f.x) / len, y: (f.oy - f.y) / len };
+    });
+    const dot = dirs[0].x * dirs[1].x + dirs[0].y * dirs[1].y;
+    if (dot < -0.9) return; // straight run, no corner
+    const bx = dirs[0].x + dirs[1].x;
+    const by = dirs[0].y + dirs[1].y;
+    const len = Math.hypot(bx, by) || 1;
+    corners.push({ x: e.x, y: e.y, bx: bx / len, by: by / len });
+  });
+  return corners;
+}
+
+// A mirror facing the entrance pushes the incoming chi straight back out
+const MIRROR_ANGLE = 30; // degrees off square that still counts as facing
+
+registerRule({
+  id: 'mirror-entrance',
+  name: 'Mirrors facing doors',
+  check({ walls, doors, furniture }) {
+    const issues = [];
+    const main = mainDoor(doors);
+    for (const f of furniture) {
+      if (f.type !== 'mirror') continue;
+      const c = center(f);
+      const front = rotatePoint(0, 1, 0, 0, f.rotation || 0);
+      for (const door of doors) {
+        const m = midpoint(door);
+        const d = { x: m.x - c.x, y: m.y - c.y };
+        const cos = (front.x * d.x + front.y * d.y) / (Math.hypot(d.x, d.y) || 1);
+        if (cos < Math.cos(MIRROR_ANGLE * Math.PI / 180)) continue;
+        if (!clearLine(c, m, walls, [door.wallId])) continue;
+        const isMain = door === main;
+        issues.push({
+          severity: isMain ? 'high' : 'medium',
+          title: `${name(f)} faces ${isMain ? 'the entrance' : 'a door'}`,
+          message: 'A mirror facing the door reflects chi straight back out. Move it to a side wall.',
+          x: c.x,
+          y: c.y,
+          path: [c, m],
+        });
+      }
+    }
+    return issues;
+  },
+});
+
+// Clutter — too much of the floor covered, and pieces in a door's swing
+const CLUTTER_COVERAGE = 0.45; // share of the floor under furniture
+const FLAT_TYPES = ['rug'];
+
+registerRule({
+  id: 'clutter',
+  name: 'Clutter',
+  check({ doors, furniture, mask }) {
+    const issues = [];
+    const standing = furniture.filter(f => !FLAT_TYPES.includes(f.type));
+
+    if (mask) {
+      const floor = mask.inside.reduce((sum, v) => sum + v, 0) * mask.cell * mask.cell;
+      const covered = standing.reduce((sum, f) => sum + footprintArea(f), 0);
+      const share = covered / floor;
+      if (share > CLUTTER_COVERAGE) {
+        let x = 0, y = 0;
+        for (const f of standing) {
+          const c = center(f);
+          x += c.x / standing.length;
+          y += c.y / standing.length;
+        }
+        issues.push({
+          severity: share > CLUTTER_COVERAGE * 1.35 ? 'high' : 'medium',
+          title: 'Crowded room',
+          message: `Furniture covers ${Math.round(share * 100)}% of the floor. Chi needs open space to circulate — ` +
+            'clear out pieces you don\'t use.',
+          x,
+          y,
+        });
+      }
+    }
+
+    for (const door of doors) {
+      for (const f of standing) {
+        if (!outline(f, 16).some(p => inSwing(door, p))) continue;
+        const c = center(f);
+        issues.push({
+          severity: door === mainDoor(doors) ? 'high' : 'medium',
+          title: `${name(f)} blocks a door`,
+          message: 'The door can\'t open fully, which chokes the chi coming in. Move it out of the door\'s swing.',
+          x: c.x,
+          y: c.y,
+          path: [midpoint(door), c],
+        });
+      }
+    }
+    return issues;
+  },
+});
+
+function footprintArea(f) {
+  const pts = outline(f, 16);
+  let area = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+// Inside the quarter circle a door leaf sweeps (see openings.js doorSwing)
+function inSwing(door, p) {
+  const u = unit(door);
+  const atEnd = door.hinge === 'end';
+  const hinge = atEnd ? { x: door.x2, y: door.y2 } : { x: door.x1, y: door.y1 };
+  const along = atEnd ? { x: -u.x, y: -u.y } : u;
+  const side = door.swing === 'left' ? -1 : 1;
+  const normal = { x: -u.y * side, y: u.x * side };
+  const v = { x: p.x - hinge.x, y: p.y - hinge.y };
+  return Math.hypot(v.x, v.y) < u.len &&
+    v.x * along.x + v.y * along.y > 0 &&
+    v.x * normal.x + v.y * normal.y > 0;
+}
+
+// --- Markers ---
+
+export const SEVERITY_COLORS = { high: '#ff4d4d', medium: '#f5b942', low: '#4da6ff' };
+export const MARKER_RADIUS = 9; // screen pixels
+
+// Numbered markers in world coordinates; `zoom` keeps them a constant
+// size on screen. The `active` issue is ringed and shows its path.
+export function renderIssueMarkers(ctx, issues, zoom = 1, active = null) {
+  ctx.save();
+  ctx.font = `bold ${10 / zoom}px -apple-system, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  issues.forEach((issue, i) => {
+    const color = SEVERITY_COLORS[issue.severity];
+    if (issue.path && issue === active) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2 / zoom;
+      ctx.setLineDash([6 / zoom, 4 / zoom]);
+      ctx.beginPath();
+      issue.path.forEach((p, j) => (j === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    ctx.beginPath();
+    ctx.arc(issue.x, issue.y, MARKER_RADIUS / zoom, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    if (issue === active) {
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2 / zoom;
+      ctx.stroke();
+    }
+    ctx.fillStyle = '#0d0d1a';
+    ctx.fillText(String(i + 1), issue.x, issue.y);
+  });
+  ctx.restore();
+}
@@ -0,0 +1,128 @@
+// Shareable links — the whole scene packed into the URL hash
+// Format: #plan=z<base64url(deflate-raw(project JSON))>, or #plan=j<base64url(JSON)>
+// where CompressionStream is unavailable. Links carry a version-stamped
+// project (no background image or view) so old links keep opening after
+// format changes. Furniture properties equal to the catalog defaults are
+// left out to keep links short and restored on load.
+
+import { PROJECT_FORMAT, PROJECT_VERSION, migrateProject } from './project.js';
+import { FURNITURE_CATALOG } from './furniture.js';
+
+const HASH_PREFIX = '#plan=';
+
+export async function buildShareURL(editor) {
+  const scene = editor.getScene();
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    scene: {
+      walls: scene.walls.map(roundCoords),
+      doors: scene.doors.map(roundCoords),
+      windows: scene.windows.map(roundCoords),
+      furniture: scene.furniture.map(compactFurniture),
+      units: scene.units,
+      compass: scene.compass,
+      // Occupants stay out: birth years don't belong in a link
+    },
+  };
+  const url = new URL(window.location.href);
+  url.hash = HASH_PREFIX.slice(1) + await encode(JSON.stringify(project));
+  return url.toString();
+}
+
+// Returns the encoded plan from the current URL hash, or null
+export function getSharedPlan() {
+  const hash = window.location.hash;
+  return hash.startsWith(HASH_PREFIX) ? hash.slice(HASH_PREFIX.length) : null;
+}
+
+export function clearSharedPlan() {
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+// Decode a shared plan into a project object at the current version
+export async function decodeSharedPlan(encoded) {
+  let project;
+  try {
+    project = JSON.parse(await decode(encoded));
+  } catch (e) {
+    throw new Error('The shared link is damaged or incomplete');
+  }
+  project = migrateProject(project);
+  project.scene.furniture = project.scene.furniture.map(expandFurniture);
+  project.scene.background = null;
+  return project;
+}
+
+// --- Encoding ---
+
+async function encode(text) {
+  if (typeof CompressionStream === 'undefined') {
+    return 'j' + toBase64URL(new TextEncoder().encode(text));
+  }
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  return 'z' + toBase64URL(bytes);
+}
+
+async function decode(encoded) {
+  const kind = encoded[0];
+  const bytes = fromBase64URL(encoded.slice(1));
+  if (kind === 'j') return new TextDecoder().decode(bytes);
+  if (kind !== 'z') throw new Error('Unknown plan encoding');
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+function toBase64URL(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64URL(str) {
+  const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+// --- Compaction ---
+
+const round = (v) => Math.round(v * 10) / 10;
+
+function roundCoords(obj) {
+  const out = { ...obj };
+  for (const key of ['x1', 'y1', 'x2', 'y2', 'x', 'y', 'width', 'height', 'offset', 'rotation']) {
+    if (typeof out[key] === 'number') out[key] = round(out[key]);
+  }
+  return out;
+}
+
+// Only the built-in catalog is the same for sender and recipient; custom
+// pieces (catalog.js) travel whole
+function builtInTemplate(type) {
+  return FURNITURE_CATALOG.find(f => f.type === type);
+}
+
+function compactFurniture(item) {
+  const out = roundCoords(item);
+  delete out.id;
+  const template = builtInTemplate(item.type);
+  if (template) {
+    for (const [key, value] of Object.entries(template)) {
+      if (key !== 'type' && out[key] === value) delete out[key];
+    }
+  }
+  return out;
+}
+
+function expandFurniture(item) {
+  const { dimensions, ...defaults } = builtInTemplate(item.type) || {};
+  return {
+    ...defaults,
+    ...item,
+    id: Date.now() + Math.random(),
+    rotation: item.rotation || 0,
+  };
+}
@@ -1,12 +1,21 @@
 // Chi flow simulation using Laplace equation solver
-// Computes potential field via SOR iteration, then derives velocity field
+// Computes potential field with a multigrid solver, then derives velocity field
+
+import { wallSpans } from './openings.js';
+import { bounds, containsPoint, sharpCorners } from './geometry.js';
+import { solvePotential } from './multigrid.js';
 
 export class Simulation {
   constructor(grid) {
     this.grid = grid;
-    this.iterations = 600;
-    this.omega = 1.7; // SOR relaxation factor (faster convergence than Jacobi)
+    this.maxIterations = 3000; // multigrid cycles, or SOR sweeps if it falls back to them
+    this.tolerance = 1e-4;     // stop once no cell's potential changes more than this in a sweep
+    this.omega = null;         // SOR factor for the fallback; null picks the best one for the grid size
     this.converged = false;
+    // How the last solve went
+    this.iterationsRun = 0;
+    this.residual = Infinity;
+    this.method = null;        // 'multigrid' or 'sor'
   }
 
   // Rasterize the editor state onto the simulation grid
@@ -33,91 +42,66 @@ export class Simulation {
       g.setWall(g.width - 1, y);
     }
 
-    // Rasterize walls using Bresenham's line
+    // Rasterize the solid parts of walls (openings left out) using Bresenham's line
+    const openings = [...doors, ...windows];
     for (const wall of walls) {
-      const a = toGrid(wall.x1, wall.y1);
-      const b = toGrid(wall.x2, wall.y2);
-      this.rasterizeLine(a.gx, a.gy, b.gx, b.gy, (x, y) => {
-        g.setWall(x, y);
-        // Thicken walls by 1 pixel each direction
-        g.setWall(x + 1, y);
-        g.setWall(x - 1, y);
-        g.setWall(x, y + 1);
-        g.setWall(x, y - 1);
-      });
+      for (const span of wallSpans(wall, openings)) {
+        const a = toGrid(span.x1, span.y1);
+        const b = toGrid(span.x2, span.y2);
+        this.rasterizeLine(a.gx, a.gy, b.gx, b.gy, (x, y) => {
+          g.setWall(x, y);
+          // Thicken walls by 1 pixel each direction
+          g.setWall(x + 1, y);
+          g.setWall(x - 1, y);
+          g.setWall(x, y + 1);
+          g.setWall(x, y - 1);
+        });
+      }
     }
 
-    // Carve doors as sources (high potential chi inflow)
-    for (const door of doors) {
-      const a = toGrid(door.x1, door.y1);
-      const b = toGrid(door.x2, door.y2);
-      this.rasterizeLine(a.gx, a.gy, b.gx, b.gy, (x, y) => {
-        if (g.inBounds(x, y)) {
-          g.cells[g.idx(x, y)] = 0;
-          g.setSource(x, y, 1.0);
-        }
-        for (const [dx, dy] of [[1,0],[-1,0],[0,1],[0,-1]]) {
-          const nx = x + dx, ny = y + dy;
-          if (g.inBounds(nx, ny)) {
-            g.cells[g.idx(nx, ny)] = 0;
-            g.setSource(nx, ny, 0.8);
-          }
-        }
-      });
-    }
+    // Doors as sources (high potential chi inflow), windows as weaker ones
+    for (const door of doors) this.rasterizeOpening(door, toGrid, 1.0, 0.8);
+    for (const win of windows) this.rasterizeOpening(win, toGrid, 0.4, 0.2);
 
-    // Windows as weaker sources
-    for (const win of windows) {
-      const a = toGrid(win.x1, win.y1);
-      const b = toGrid(win.x2, win.y2);
-      this.rasterizeLine(a.gx, a.gy, b.gx, b.gy, (x, y) => {
-        if (g.inBounds(x, y)) {
-          g.cells[g.idx(x, y)] = 0;
-          g.setSource(x, y, 0.4);
-        }
-        for (const [dx, dy] of [[1,0],[-1,0],[0,1],[0,-1]]) {
-          const nx = x + dx, ny = y + dy;
-          if (g.inBounds(nx, ny)) {
-            g.cells[g.idx(nx, ny)] = 0;
-            g.setSource(nx, ny, 0.2);
-          }
-        }
-      });
-    }
-
-    // Rasterize furniture as obstacles
+    // Rasterize furniture as obstacles — every cell whose center lies in the
+    // rotated footprint
     if (furniture) {
       for (const item of furniture) {
-        const tl = toGrid(item.x, item.y);
-        const br = toGrid(item.x + item.width, item.y + item.height);
+        const box = bounds(item);
+        const tl = toGrid(box.x, box.y);
+        const br = toGrid(box.x + box.width, box.y + box.height);
 
         for (let gy = Math.max(1, tl.gy); gy <= Math.min(g.height - 2, br.gy); gy++) {
           for (let gx = Math.max(1, tl.gx); gx <= Math.min(g.width - 2, br.gx); gx++) {
+            const wx = roomBounds.x + gx / scaleX;
+            const wy = roomBounds.y + gy / scaleY;
+            if (!containsPoint(item, wx, wy)) continue;
+            // Strengths come from the instance, scaled so the catalog
+            // defaults give the same field as before they were editable
+            // (capped below 1, which would make the cell a wall)
+            const resistance = Math.min(item.flowResistance ?? 0.8, 0.95);
+            const modifier = item.flowModifier ?? 0;
             if (item.type === 'mirror') {
               // Mirrors act as local sources — redirect chi
-              g.setSource(gx, gy, 0.3);
+              g.setSource(gx, gy, modifier);
             } else if (item.type === 'plant') {
               // Plants gently enhance flow
-              g.setFlowModifier(gx, gy, 0.5);
+              g.setFlowModifier(gx, gy, modifier * 2.5);
             } else if (item.type === 'rug') {
               // Rugs slightly slow and ground energy
-              g.setObstacle(gx, gy, 0.15);
-              g.setFlowModifier(gx, gy, 0.2);
+              g.setObstacle(gx, gy, Math.min(resistance * 3, 0.95));
+              g.setFlowModifier(gx, gy, modifier * 2);
             } else {
-              g.setObstacle(gx, gy, item.flowResistance || 0.8);
+              g.setObstacle(gx, gy, resistance);
+              if (modifier) g.setFlowModifier(gx, gy, modifier);
             }
           }
         }
 
-        // Poison arrows from sharp corners — create fast disruptive flow
+        // Poison arrows from sharp corners — create fast disruptive flow.
+        // Only real convex corners of the footprint count.
         if (item.poisonArrow) {
-          const corners = [
-            toGrid(item.x, item.y),
-            toGrid(item.x + item.width, item.y),
-            toGrid(item.x, item.y + item.height),
-            toGrid(item.x + item.width, item.y + item.height),
-          ];
-          for (const c of corners) {
+          for (const c of sharpCorners(item).map(p => toGrid(p.x, p.y))) {
             for (let dy = -3; dy <= 3; dy++) {
               for (let dx = -3; dx <= 3; dx++) {
                 const dist = Math.sqrt(dx * dx + dy * dy);
@@ -132,6 +116,29 @@ export class Simulation {
     }
   }
 
+  // Mark an opening's cells (and their neighbors, at `edge` strength) as sources.
+  // Free-standing openings from older plans have no gap in their wall, so
+  // they are carved out of it here.
+  rasterizeOpening(opening, toGrid, strength, edge) {
+    const g = this.grid;
+    const carve = !opening.wallId;
+    const a = toGrid(opening.x1, opening.y1);
+    const b = toGrid(opening.x2, opening.y2);
+    this.rasterizeLine(a.gx, a.gy, b.gx, b.gy, (x, y) => {
+      if (g.inBounds(x, y)) {
+        if (carve) g.cells[g.idx(x, y)] = 0;
+        g.setSource(x, y, strength);
+      }
+      for (const [dx, dy] of [[1,0],[-1,0],[0,1],[0,-1]]) {
+        const nx = x + dx, ny = y + dy;
+        if (g.inBounds(nx, ny)) {
+          if (carve) g.cells[g.idx(nx, ny)] = 0;
+          g.setSource(nx, ny, edge);
+        }
+      }
+    });
+  }
+
   rasterizeLine(x0, y0, x1, y1, callback) {
     const dx = Math.abs(x1 - x0);
     const dy = Math.abs(y1 - y0);
@@ -148,21 +155,27 @@ export class Simulation {
     }
   }
 
-  // Main solve: SOR iteration for Laplace equation
+  // Main solve: potential field by multigrid, iterated until it converges
   // Sources (doors/windows) at high potential, walls at 0 → natural flow from entry to room interior
-  solve() {
+  // onProgress(fraction, residual) reports how close the solve is to the tolerance.
+  // `seed`, the potential of an earlier solve on a grid of the same size,
+  // is the starting guess for open cells; after a small edit most of the
+  // field is already settled, so it takes a few cycles instead of a full solve.
+  solve(onProgress = null, seed = null) {
     const g = this.grid;
     const w = g.width, h = g.height;
     const phi = g.potential;
     const cells = g.cells;
     const sources = g.sources;
     const mods = g.flowModifier;
-    const omega = this.omega;
 
     // Initialize potential
+    const guess = seed && seed.length === w * h ? seed : null;
     for (let i = 0; i < w * h; i++) {
       if (sources[i] > 0) {
         phi[i] = sources[i] * 100; // Source potential proportional to strength
+      } else if (guess && cells[i] < 1) {
+        phi[i] = guess[i];
       } else {
         phi[i] = 0;
       }
@@ -212,44 +225,16 @@ export class Simulation {
       }
     }
 
-    // SOR iteration
-    for (let iter = 0; iter < this.iterations; iter++) {
-      for (let y = 1; y < h - 1; y++) {
-        for (let x = 1; x < w - 1; x++) {
-          const i = y * w + x;
-
-          // Skip walls
-          if (cells[i] >= 1) continue;
-
-          // Fixed sources/sinks don't change
-          if (sources[i] !== 0) continue;
-
-          // Laplace average of 4 neighbors
-          const avg = (phi[i - 1] + phi[i + 1] + phi[i - w] + phi[i + w]) / 4;
-
-          // Obstacles partially block flow
-          let newVal;
-          if (cells[i] > 0 && cells[i] < 1) {
-            const resistance = cells[i];
-            newVal = (1 - resistance) * avg + resistance * phi[i];
-          } else {
-            newVal = avg;
-          }
-
-          // Flow modifiers — enhance or disrupt potential
-          if (mods[i] > 0) {
-            // Positive: plants/mirrors boost local potential (attract chi)
-            newVal += mods[i] * 2.0;
-          } else if (mods[i] < 0) {
-            // Negative: poison arrows amplify local gradient (create turbulence)
-            newVal += mods[i] * 3.0;
-          }
-
-          // SOR update (converges faster than pure Jacobi)
-          phi[i] = phi[i] + omega * (newVal - phi[i]);
-        }
-      }
-    }
+    // Settle the potential everywhere else (multigrid.js)
+    const result = solvePotential({ w, h, phi, cells, sources, mods }, {
+      tolerance: this.tolerance,
+      maxIterations: this.maxIterations,
+      omega: this.omega,
+      onProgress,
+    });
+    this.iterationsRun = result.iterations;
+    this.residual = result.residual;
+    this.method = result.method;
 
     // Compute velocity field from potential gradient
     // v = -∇φ (flow goes from high potential to low)
@@ -278,6 +263,7 @@ export class Simulation {
       }
     }
 
-    this.converged = true;
+    this.converged = result.converged;
   }
 }
+
@@ -0,0 +1,29 @@
+// Flow solver worker — rasterizes and solves one plan off the main thread
+// for FlowSolver (solver.js). Progress is posted as the sweeps run; the
+// solved grid goes back as transferred buffers, not copies, and a solve
+// that throws is reported as an error message.
+
+import { Grid } from './grid.js';
+import { Simulation } from './simulation.js';
+
+self.onmessage = (e) => {
+  const { id, state, width, height, seed } = e.data;
+  const grid = new Grid(width, height);
+  const simulation = new Simulation(grid);
+  try {
+    simulation.rasterize(state);
+    simulation.solve((progress, residual) => {
+      self.postMessage({ type: 'progress', id, progress, residual });
+    }, seed);
+  } catch (err) {
+    self.postMessage({ type: 'error', id, message: err.message });
+    return;
+  }
+  const stats = {
+    iterations: simulation.iterationsRun,
+    residual: simulation.residual,
+    converged: simulation.converged,
+    method: simulation.method,
+  };
+  self.postMessage({ type: 'done', id, width, height, fields: grid.fields(), stats }, grid.transferables());
+};
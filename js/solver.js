@@ -0,0 +1,138 @@
+// Runs the flow simulation in a Web Worker (solver-worker.js) so the page
+// keeps drawing, panning and zooming while it solves
+//
+// Only one run is in flight: starting another or calling cancel() ends the
+// current one, which resolves to false and leaves the grid as it was. In
+// browsers without module workers the solve runs on the main thread as
+// before, and can't be cancelled.
+
+import { Simulation } from './simulation.js';
+
+export class FlowSolver {
+  constructor(grid) {
+    this.grid = grid;
+    this.worker = null;
+    this.pending = null; // { id, state, target, resolve, reject, onProgress }
+    this.nextId = 1;
+    this.workerFailed = false;
+    this.workerLoaded = false; // the worker has sent a message, so it runs here
+    this.stats = null; // { iterations, residual, converged, method } of the last finished run
+  }
+
+  get running() {
+    return this.pending !== null;
+  }
+
+  // Rasterize and solve an editor simulation state into `grid` (the solver's
+  // own unless given), resized to width × height (see gridLayout in
+  // grid.js). onProgress(fraction) reports how close the solve is to
+  // converging (see multigrid.js); `seed` warm-starts it (Simulation.solve).
+  // Resolves to true once the grid holds the result, false when the run was
+  // cancelled; rejects if the solve itself throws.
+  solve(state, { grid = this.grid, width = grid.width, height = grid.height, onProgress = null, seed = null } = {}) {
+    this.cancel();
+    const target = { grid, width, height, seed };
+    const worker = this._getWorker();
+    if (!worker) return this._solveHere(state, target, onProgress);
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending = { id, state, target, resolve, reject, onProgress };
+      try {
+        worker.postMessage({ id, state, width, height, seed });
+      } catch (err) {
+        // State that can't be cloned — solve it here instead
+        this.pending = null;
+        this._solveHere(state, target, onProgress).then(resolve, reject);
+      }
+    });
+  }
+
+  // Stop the run in progress. The worker is mid-loop and can't be told to
+  // stop, so it is terminated and a fresh one started for the next run.
+  cancel() {
+    if (!this.pending) return;
+    const { resolve } = this.pending;
+    this.pending = null;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    resolve(false);
+  }
+
+  _getWorker() {
+    if (this.worker || this.workerFailed || typeof Worker === 'undefined') return this.worker;
+    try {
+      this.worker = new Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+      this.workerFailed = true;
+      return null;
+    }
+    this.workerLoaded = false;
+    this.worker.onmessage = (e) => {
+      this.workerLoaded = true;
+      this._onMessage(e.data);
+    };
+    this.worker.onerror = (e) => {
+      e.preventDefault();
+      const pending = this.pending;
+      const loaded = this.workerLoaded;
+      this.worker.terminate();
+      this.worker = null;
+      this.pending = null;
+      if (loaded) {
+        // The solve itself threw; the next run gets a fresh worker
+        if (pending) pending.reject(new Error(e.message || 'Solver worker failed'));
+        return;
+      }
+      // A worker that fails to load (no module worker support) fails every
+      // run; fall back to the main thread for this one and the rest
+      this.workerFailed = true;
+      if (pending) {
+        this._solveHere(pending.state, pending.target, pending.onProgress).then(pending.resolve, pending.reject);
+      }
+    };
+    return this.worker;
+  }
+
+  _onMessage(msg) {
+    const pending = this.pending;
+    if (!pending || msg.id !== pending.id) return; // from a cancelled run
+    if (msg.type === 'progress') {
+      if (pending.onProgress) pending.onProgress(msg.progress);
+    } else if (msg.type === 'done') {
+      this.pending = null;
+      pending.target.grid.adopt(msg.fields, msg.width, msg.height);
+      this.stats = msg.stats;
+      pending.resolve(true);
+    } else if (msg.type === 'error') {
+      this.pending = null;
+      pending.reject(new Error(msg.message));
+    }
+  }
+
+  // Blocking fallback; waits a frame so the status message can render first
+  _solveHere(state, { grid, width, height, seed }, onProgress) {
+    return new Promise((resolve, reject) => {
+      requestAnimationFrame(() => {
+        try {
+          grid.resize(width, height);
+          const simulation = new Simulation(grid);
+          simulation.rasterize(state);
+          simulation.solve(null, seed);
+          this.stats = {
+            iterations: simulation.iterationsRun,
+            residual: simulation.residual,
+            converged: simulation.converged,
+            method: simulation.method,
+          };
+          if (onProgress) onProgress(1);
+          resolve(true);
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+  }
+}
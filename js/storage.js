@@ -0,0 +1,227 @@
+// Local persistence — crash-recovery autosave and named projects
+// The autosave slot lives in localStorage so it is written synchronously;
+// named projects and background image blobs live in IndexedDB, which has
+// room for large floor plan images.
+
+const AUTOSAVE_KEY = 'fengshui.autosave';
+const DB_NAME = 'feng-shui-flow';
+const DB_VERSION = 1;
+const AUTOSAVE_IMAGE = 'autosave';
+
+export class ProjectStore {
+  constructor() {
+    this.db = null;
+    this.writtenImages = new Map(); // image key → blob last written
+  }
+
+  // --- IndexedDB plumbing ---
+
+  _open() {
+    if (this.db) return this.db;
+    this.db = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('projects')) {
+          db.createObjectStore('projects', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('images')) {
+          db.createObjectStore('images');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a failed open be retried later
+    this.db.catch(() => { this.db = null; });
+    return this.db;
+  }
+
+  async _run(storeName, mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // --- Background images ---
+
+  async _syncImage(key, blob) {
+    if (this.writtenImages.get(key) === blob) return;
+    if (blob) {
+      await this._run('images', 'readwrite', store => store.put(blob, key));
+    } else {
+      await this._run('images', 'readwrite', store => store.delete(key));
+    }
+    this.writtenImages.set(key, blob);
+  }
+
+  async _getImage(key) {
+    const blob = await this._run('images', 'readonly', store => store.get(key));
+    if (blob) this.writtenImages.set(key, blob);
+    return blob || null;
+  }
+
+  // Re-attach a stored image blob to a project loaded from storage
+  async _withImage(project, key) {
+    const bg = project.scene.background;
+    if (!bg) return { project, backgroundBlob: null };
+    const blob = await this._getImage(key).catch(() => null);
+    if (!blob) {
+      project.scene.background = null;
+      return { project, backgroundBlob: null };
+    }
+    project.scene.background = { ...bg, src: URL.createObjectURL(blob) };
+    return { project, backgroundBlob: blob };
+  }
+
+  // --- Autosave slot ---
+
+  // project must be serialized without its background src; the blob is
+  // stored separately. Throws right away if localStorage is full or
+  // unavailable; the returned promise settles once the image is stored.
+  saveAutosave(project, backgroundBlob, projectId = null) {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify({
+      savedAt: Date.now(),
+      projectId,
+      project,
+    }));
+    return this._syncImage(AUTOSAVE_IMAGE, backgroundBlob);
+  }
+
+  peekAutosave() {
+    try {
+      const raw = localStorage.getItem(AUTOSAVE_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Resolves to { project, backgroundBlob, projectId, savedAt } or null
+  async loadAutosave() {
+    const entry = this.peekAutosave();
+    if (!entry) return null;
+    const loaded = await this._withImage(entry.project, AUTOSAVE_IMAGE);
+    return { ...loaded, projectId: entry.projectId, savedAt: entry.savedAt };
+  }
+
+  // --- Named projects ---
+
+  async list() {
+    const records = await this._run('projects', 'readonly', store => store.getAll());
+    return records
+      .map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async create(name, project, backgroundBlob = null) {
+    const now = Date.now();
+    const record = { id: newId(), name, createdAt: now, updatedAt: now, project };
+    await this._run('projects', 'readwrite', store => store.put(record));
+    await this._syncImage(imageKey(record.id), backgroundBlob);
+    return record.id;
+  }
+
+  async save(id, project, backgroundBlob = null) {
+    const record = await this._get(id);
+    record.project = project;
+    record.updatedAt = Date.now();
+    await this._run('projects', 'readwrite', store => store.put(record));
+    await this._syncImage(imageKey(id), backgroundBlob);
+  }
+
+  // Resolves to { name, project, backgroundBlob }
+  async load(id) {
+    const record = await this._get(id);
+    const loaded = await this._withImage(record.project, imageKey(id));
+    return { name: record.name, ...loaded };
+  }
+
+  async rename(id, name) {
+    const record = await this._get(id);
+    record.name = name;
+    record.updatedAt = Date.now();
+    await this._run('projects', 'readwrite', store => store.put(record));
+  }
+
+  async duplicate(id, name) {
+    const record = await this._get(id);
+    const blob = await this._getImage(imageKey(id));
+    return this.create(name, record.project, blob);
+  }
+
+  async remove(id) {
+    await this._run('projects', 'readwrite', store => store.delete(id));
+    await this._syncImage(imageKey(id), null);
+  }
+
+  async getName(id) {
+    const record = await this._get(id);
+    return record.name;
+  }
+
+  async _get(id) {
+    const record = await this._run('projects', 'readonly', store => store.get(id));
+    if (!record) throw new Error('Project not found');
+    return record;
+  }
+}
+
+function imageKey(id) {
+  return `project:${id}`;
+}
+
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// --- Preferences ---
+// Settings of this browser rather than of any one project
+
+// localStorage can be unavailable (private browsing, blocked storage):
+// reads then fall back to the default and writes are dropped, the choice
+// still applying to this session
+function loadPreference(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+function savePreference(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (e) {
+    // Not remembered
+  }
+}
+
+const QUALITY_KEY = 'fengshui.quality';
+
+export function loadQuality() {
+  return loadPreference(QUALITY_KEY);
+}
+
+export function saveQuality(quality) {
+  savePreference(QUALITY_KEY, quality);
+}
+
+const LIVE_KEY = 'fengshui.live';
+
+export function loadLiveMode() {
+  return loadPreference(LIVE_KEY) === '1';
+}
+
+export function saveLiveMode(on) {
+  savePreference(LIVE_KEY, on ? '1' : '0');
+}
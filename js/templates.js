@@ -1,5 +1,8 @@
 // Pre-built room templates
-// Coordinates are in "world" units (roughly 1 unit = 1 pixel at default zoom)
+// Coordinates are in "world" units at the default scale of 40 units per meter
+// (see units.js), roughly 1 unit = 1 pixel at default zoom
+// Doors and windows are segments lying on a wall; loading a template attaches
+// them to it (see openings.js)
 
 export const TEMPLATES = {
   studio: {
@@ -0,0 +1,311 @@
+// Transient chi — how chi fills the room over time, next to the settled
+// flow of simulation.js
+//
+// The steady solve shows where chi goes once it has settled. Here it is
+// released at the doors and windows at time zero, carried along that flow
+// (advection) while it spreads out on its own (diffusion), and every floor
+// cell records when it first reaches REACH_LEVEL: the time-to-reach map.
+// Corners off the flow's path, behind furniture or round a bend, fill last.
+//
+// Diffusion takes a number of steps that grows with the square of the
+// cells across, so this runs on a coarser grid whose cells are blocks of
+// the flow grid's (at most TRANSIENT_CELLS across). Times are in seconds,
+// with chi at the steady flow's fastest point moving at CHI_SPEED.
+
+import { isInside } from './room.js';
+import { toMeters } from './units.js';
+
+const TRANSIENT_CELLS = 64;
+const CHI_SPEED = 1;       // m/s at the fastest point of the steady flow
+const DIFFUSION = 0.05;    // m²/s, how fast chi spreads where the flow is still
+const REACH_LEVEL = 0.1;   // concentration (a door's is 1) that counts as reached
+const MAX_SECONDS = 600;   // cells not reached by then count as never reached
+const MAX_STEPS = 40000;
+const STABILITY = 0.9;     // share of the largest stable time step taken
+
+// "Filled" once this share of the floor has been reached
+export const FILL_SHARE = 0.9;
+
+export class TransientFlow {
+  constructor(grid) {
+    this.grid = grid;
+    this.width = 0;
+    this.height = 0;
+    this.block = 1;        // flow grid cells along each side of a cell here
+    this.arrival = null;   // seconds until each cell was reached: Infinity if never, NaN off the floor
+    this.summary = null;
+    this.canvas = null;
+    this.imageData = null;
+    this.shownTime = null; // time the canvas was last drawn for
+  }
+
+  get ready() {
+    return this.arrival !== null;
+  }
+
+  clear() {
+    this.arrival = null;
+    this.summary = null;
+    this.canvas = null;
+  }
+
+  // Release chi into the solved flow grid, which covers roomBounds, and run
+  // until every floor cell it can get to has been reached. `mask` limits
+  // the floor to inside the walls (room.js).
+  // Returns { floorCells, reachedPct, fillSeconds, lastSeconds, slowest };
+  // fillSeconds is when FILL_SHARE of the floor was reached (null if it
+  // never was) and slowest the last cell reached, in flow grid cells.
+  run(roomBounds, { units, mask = null } = {}) {
+    const model = this._coarsen(roomBounds, units, mask);
+    const { w, h, n, open, source, floor, u, v, cellMeters } = model;
+    const arrival = new Float32Array(n).fill(NaN);
+    const c = new Float32Array(n);
+    const next = new Float32Array(n);
+
+    // Only floor cells connected to a source can ever be reached
+    const reachable = connectedTo(source, open, w, h);
+    let remaining = 0;
+    for (let i = 0; i < n; i++) {
+      c[i] = source[i];
+      if (!floor[i]) continue;
+      arrival[i] = source[i] > 0 ? 0 : Infinity;
+      if (reachable[i] && source[i] === 0) remaining++;
+    }
+
+    // Explicit steps stay stable (and chi stays between 0 and the sources')
+    // while no cell gives away more than it has in one step
+    let fastest = 0;
+    for (let i = 0; i < n; i++) {
+      if (open[i] > 0) fastest = Math.max(fastest, Math.abs(u[i]) + Math.abs(v[i]));
+    }
+    const dt = STABILITY / (fastest / cellMeters + 4 * DIFFUSION / (cellMeters * cellMeters));
+    const advect = dt / cellMeters;
+    const spread = DIFFUSION * dt / (cellMeters * cellMeters);
+
+    let t = 0;
+    for (let step = 0; step < MAX_STEPS && t < MAX_SECONDS && remaining > 0; step++) {
+      for (let i = 0; i < n; i++) {
+        const ci = c[i];
+        if (open[i] === 0 || source[i] > 0) {
+          next[i] = ci;
+          continue;
+        }
+        const oi = open[i];
+        // Off the grid counts as wall, so nothing wraps round to the next row
+        const x = i % w;
+        const west = x > 0 ? open[i - 1] : 0;
+        const east = x < w - 1 ? open[i + 1] : 0;
+        const north = i >= w ? open[i - w] : 0;
+        const south = i < n - w ? open[i + w] : 0;
+        // Neighbors' chi, a wall's taken as the cell's own (nothing crosses)
+        const cw = west > 0 ? c[i - 1] : ci;
+        const ce = east > 0 ? c[i + 1] : ci;
+        const cn = north > 0 ? c[i - w] : ci;
+        const cs = south > 0 ? c[i + w] : ci;
+        // Upwind: the flow brings in what is upstream of the cell
+        const inflow = (u[i] > 0 ? u[i] * (ci - cw) : u[i] * (ce - ci)) +
+          (v[i] > 0 ? v[i] * (ci - cn) : v[i] * (cs - ci));
+        // Spreading through each face, slowed by furniture on either side
+        const exchange = Math.min(oi, west) * (cw - ci) + Math.min(oi, east) * (ce - ci) +
+          Math.min(oi, north) * (cn - ci) + Math.min(oi, south) * (cs - ci);
+        next[i] = ci - advect * inflow + spread * exchange;
+      }
+      c.set(next);
+      t += dt;
+      for (let i = 0; i < n; i++) {
+        if (arrival[i] === Infinity && c[i] >= REACH_LEVEL) {
+          arrival[i] = t;
+          remaining--;
+        }
+      }
+    }
+
+    this.width = w;
+    this.height = h;
+    this.block = model.block;
+    this.arrival = arrival;
+    this.summary = summarize(arrival, w, model.block);
+    this.canvas = null;
+    this.shownTime = null;
+    return this.summary;
+  }
+
+  // Average the flow grid over blocks of cells. A block is a source if any
+  // of its cells is (doors sit in the wall line), else a wall if any of its
+  // cells is, so thin walls don't leak.
+  _coarsen(roomBounds, units, mask) {
+    const g = this.grid;
+    const block = Math.max(1, Math.ceil(Math.max(g.width, g.height) / TRANSIENT_CELLS));
+    const w = Math.ceil(g.width / block);
+    const h = Math.ceil(g.height / block);
+    const n = w * h;
+    const open = new Float32Array(n);   // how freely chi moves: 0 wall … 1 open floor
+    const source = new Float32Array(n); // fixed concentration at doors and windows
+    const floor = new Uint8Array(n);
+    const u = new Float32Array(n);      // m/s
+    const v = new Float32Array(n);
+    const maxSpeed = g.getMaxSpeed();
+    const speedScale = maxSpeed > 0 ? CHI_SPEED / maxSpeed : 0;
+    const cellWidth = roomBounds.width / g.width;
+    const cellHeight = roomBounds.height / g.height;
+
+    for (let by = 0; by < h; by++) {
+      for (let bx = 0; bx < w; bx++) {
+        const i = by * w + bx;
+        let wall = false, strongest = 0, count = 0, sumOpen = 0, sumU = 0, sumV = 0;
+        for (let y = by * block; y < Math.min(g.height, (by + 1) * block); y++) {
+          for (let x = bx * block; x < Math.min(g.width, (bx + 1) * block); x++) {
+            const j = g.idx(x, y);
+            if (g.sources[j] > 0) strongest = Math.max(strongest, g.sources[j]);
+            if (g.cells[j] >= 1) {
+              wall = true;
+              continue;
+            }
+            count++;
+            sumOpen += 1 - g.cells[j];
+            sumU += g.vx[j];
+            sumV += g.vy[j];
+          }
+        }
+        if (strongest > 0) {
+          source[i] = Math.min(1, strongest);
+          open[i] = 1;
+        } else if (!wall && count > 0) {
+          open[i] = sumOpen / count;
+          u[i] = sumU / count * speedScale;
+          v[i] = sumV / count * speedScale;
+        }
+        // Block centers in world coordinates
+        const x = roomBounds.x + (bx + 0.5) * block * cellWidth;
+        const y = roomBounds.y + (by + 0.5) * block * cellHeight;
+        if (open[i] > 0 && isInside(mask, x, y)) floor[i] = 1;
+      }
+    }
+    return { w, h, n, block, open, source, floor, u, v, cellMeters: toMeters(block * cellWidth, units) };
+  }
+
+  // Time-to-reach map as of `time` seconds: cells chi has reached so far,
+  // colored from early (cyan) to late (red) on the scale of the whole run.
+  // Once every cell's time has passed, floor chi never reached is shaded
+  // and the last spot reached is ringed.
+  render(ctx, transform, time = Infinity) {
+    if (!this.ready) return;
+    const { lastSeconds } = this.summary;
+    const complete = time >= (lastSeconds ?? 0);
+    const shown = complete ? Infinity : time;
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      this.canvas.width = this.width;
+      this.canvas.height = this.height;
+      this.imageData = this.canvas.getContext('2d').createImageData(this.width, this.height);
+    }
+    if (shown !== this.shownTime) {
+      this._draw(shown, complete);
+      this.shownTime = shown;
+    }
+
+    const { offsetX, offsetY, scaleX, scaleY } = transform;
+    ctx.globalAlpha = 0.6;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(this.canvas, offsetX, offsetY, this.width * this.block * scaleX, this.height * this.block * scaleY);
+    ctx.globalAlpha = 1;
+
+    const { slowest } = this.summary;
+    if (complete && slowest) {
+      ctx.save();
+      ctx.strokeStyle = '#ff6655';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(offsetX + slowest.x * scaleX, offsetY + slowest.y * scaleY, 10, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+
+  _draw(time, complete) {
+    const data = this.imageData.data;
+    const last = this.summary.lastSeconds || 1;
+    data.fill(0);
+    for (let i = 0; i < this.arrival.length; i++) {
+      const t = this.arrival[i];
+      const pi = i * 4;
+      if (Number.isNaN(t)) continue;
+      if (t === Infinity) {
+        if (!complete) continue;
+        // Never reached: dull violet
+        data[pi] = 90;
+        data[pi + 1] = 40;
+        data[pi + 2] = 110;
+        data[pi + 3] = 200;
+        continue;
+      }
+      if (t > time) continue;
+      const [r, g, b] = arrivalColor(t / last);
+      data[pi] = r;
+      data[pi + 1] = g;
+      data[pi + 2] = b;
+      data[pi + 3] = 200;
+    }
+    this.canvas.getContext('2d').putImageData(this.imageData, 0, 0);
+  }
+}
+
+// Early (0) cyan → yellow → late (1) red
+function arrivalColor(f) {
+  if (f < 0.5) {
+    const t = f / 0.5;
+    return [40 + 200 * t, 200 + 20 * t, 230 - 190 * t];
+  }
+  const t = (f - 0.5) / 0.5;
+  return [240 - 10 * t, 220 - 170 * t, 40];
+}
+
+// Cells a source can get to through open ones, by flood fill
+function connectedTo(source, open, w, h) {
+  const reached = new Uint8Array(w * h);
+  const stack = [];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] > 0) {
+      reached[i] = 1;
+      stack.push(i);
+    }
+  }
+  while (stack.length) {
+    const i = stack.pop();
+    const x = i % w;
+    for (const j of [x > 0 ? i - 1 : -1, x < w - 1 ? i + 1 : -1, i - w, i + w]) {
+      if (j < 0 || j >= w * h || reached[j] || open[j] === 0) continue;
+      reached[j] = 1;
+      stack.push(j);
+    }
+  }
+  return reached;
+}
+
+function summarize(arrival, w, block) {
+  const times = [];
+  let floorCells = 0;
+  let slowest = null;
+  let lastSeconds = null;
+  for (let i = 0; i < arrival.length; i++) {
+    const t = arrival[i];
+    if (Number.isNaN(t)) continue;
+    floorCells++;
+    if (t === Infinity) continue;
+    times.push(t);
+    if (lastSeconds === null || t > lastSeconds) {
+      lastSeconds = t;
+      // Center of the block, in flow grid cells
+      slowest = { x: (i % w + 0.5) * block, y: (Math.floor(i / w) + 0.5) * block };
+    }
+  }
+  times.sort((a, b) => a - b);
+  const needed = Math.ceil(floorCells * FILL_SHARE);
+  return {
+    floorCells,
+    reachedPct: floorCells > 0 ? Math.round(times.length / floorCells * 100) : 0,
+    fillSeconds: needed > 0 && times.length >= needed ? times[needed - 1] : null,
+    lastSeconds,
+    slowest,
+  };
+}
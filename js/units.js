@@ -0,0 +1,73 @@
+// Real-world units — the plan's scale (world units per meter) and
+// formatting/parsing of lengths in metric or imperial
+
+export const DEFAULT_UNITS_PER_METER = 40;
+
+const FOOT = 0.3048;
+const INCH = 0.0254;
+
+// Snap grid spacing per unit system, in meters (25 cm / 6 in)
+const GRID_STEP = { metric: 0.25, imperial: 6 * INCH };
+
+export function defaultUnits() {
+  return { system: 'metric', unitsPerMeter: DEFAULT_UNITS_PER_METER };
+}
+
+export function toMeters(worldLength, units) {
+  return worldLength / units.unitsPerMeter;
+}
+
+export function toWorld(meters, units) {
+  return meters * units.unitsPerMeter;
+}
+
+export function gridStep(units) {
+  return toWorld(GRID_STEP[units.system] || GRID_STEP.metric, units);
+}
+
+// "3.25 m" / "85 cm" or 12' 6"
+export function formatLength(worldLength, units) {
+  const meters = toMeters(Math.abs(worldLength), units);
+  if (units.system === 'imperial') {
+    let totalInches = Math.round(meters / INCH);
+    const feet = Math.floor(totalInches / 12);
+    totalInches -= feet * 12;
+    if (feet === 0) return `${totalInches}"`;
+    return totalInches === 0 ? `${feet}'` : `${feet}' ${totalInches}"`;
+  }
+  if (meters < 1) return `${Math.round(meters * 100)} cm`;
+  return `${meters.toFixed(2)} m`;
+}
+
+// Parse a typed length into meters. Understands m, cm, mm, ft/', in/" and
+// combinations like 12' 6" or 3 m 20 cm; a bare number is read as meters
+// (metric) or feet (imperial). Returns NaN if nothing sensible was typed.
+export function parseLength(text, system = 'metric') {
+  const str = String(text).trim().toLowerCase();
+  if (!str) return NaN;
+
+  const bare = Number(str);
+  if (!Number.isNaN(bare)) return system === 'imperial' ? bare * FOOT : bare;
+
+  const factors = {
+    m: 1, meter: 1, meters: 1, metre: 1, metres: 1,
+    cm: 0.01, mm: 0.001,
+    ft: FOOT, feet: FOOT, foot: FOOT, "'": FOOT,
+    in: INCH, inch: INCH, inches: INCH, '"': INCH,
+  };
+  const re = /(\d+(?:\.\d+)?|\.\d+)\s*(meters?|metres?|cm|mm|m|feet|foot|ft|inch(?:es)?|in|'|")/g;
+  let meters = 0;
+  let found = false;
+  let match;
+  while ((match = re.exec(str)) !== null) {
+    meters += parseFloat(match[1]) * factors[match[2]];
+    found = true;
+  }
+  // Reject input with leftover junk (anything besides the matched parts)
+  if (!found || str.replace(re, '').trim() !== '') return NaN;
+  return meters;
+}
+
+export function unitLabel(system) {
+  return system === 'imperial' ? 'ft' : 'm';
+}
@@ -0,0 +1,139 @@
+// Layout variants — named alternatives of one plan ("sofa against wall",
+// "sofa floating") that can be simulated and compared
+//
+// The active variant is the one in the editor; the others keep a copy of
+// their scene and their own undo history. Forking copies the current plan
+// into a new variant and switches to it.
+
+import { Editor } from './editor.js';
+import { Grid, gridLayout } from './grid.js';
+import { Heatmap } from './heatmap.js';
+import { BaguaMap } from './bagua.js';
+import { computeMetrics } from './metrics.js';
+import { newId } from './openings.js';
+
+export class VariantSet {
+  constructor() {
+    this.list = [];      // [{ id, name, scene, undoStack, redoStack, result }]
+    this.activeId = null;
+  }
+
+  get active() {
+    return this.list.find(v => v.id === this.activeId) || null;
+  }
+
+  reset() {
+    this.list = [];
+    this.activeId = null;
+  }
+
+  // Copy the editor's plan into a new variant and make it active. The first
+  // fork also keeps the plan as it was, as "Original".
+  fork(name, editor) {
+    if (this.list.length === 0) this._add('Original');
+    this._stash(editor);
+    const variant = this._add(name);
+    variant.scene = editor.getScene();
+    this.activeId = variant.id;
+    return variant;
+  }
+
+  // Put the variant's plan and history in the editor; the one that was
+  // there is kept with its own history
+  switchTo(id, editor) {
+    const target = this.list.find(v => v.id === id);
+    if (!target || target === this.active) return false;
+    this._stash(editor);
+    editor.undoStack = []; // loading isn't a step in either history
+    editor.loadScene(target.scene);
+    editor.undoStack = target.undoStack;
+    editor.redoStack = target.redoStack;
+    this.activeId = id;
+    return true;
+  }
+
+  // The active variant can't be removed; switch away from it first
+  remove(id) {
+    if (id === this.activeId) return false;
+    this.list = this.list.filter(v => v.id !== id);
+    if (this.list.length === 1) this.reset(); // a lone variant is just the plan
+    return true;
+  }
+
+  // Plan of any variant, the active one read from the editor
+  sceneOf(variant, editor) {
+    return variant === this.active ? editor.getScene() : variant.scene;
+  }
+
+  // Simulate a variant on `solver` (a FlowSolver), reusing the last result
+  // while its plan and the quality preset are unchanged. Resolves to null
+  // if the solve was cancelled.
+  async resultOf(variant, editor, quality, solver, onProgress = null) {
+    const scene = this.sceneOf(variant, editor);
+    const key = `${quality} ${JSON.stringify(scene)}`;
+    if (variant.result?.key !== key) {
+      const result = await simulateScene(scene, quality, solver, onProgress);
+      if (!result) return null;
+      variant.result = { key, ...result };
+    }
+    return variant.result;
+  }
+
+  // For the project file: the active variant's plan is the project's scene
+  serialize() {
+    if (this.list.length === 0) return null;
+    return {
+      active: this.activeId,
+      list: this.list.map(v => (v.id === this.activeId
+        ? { id: v.id, name: v.name }
+        : { id: v.id, name: v.name, scene: v.scene })),
+    };
+  }
+
+  load(data) {
+    this.reset();
+    if (!data?.list?.some(v => v.id === data.active)) return;
+    for (const v of data.list) {
+      if (v.id !== data.active && !v.scene) continue;
+      this._add(String(v.name || 'Variant'), v.id).scene = v.scene || null;
+    }
+    this.activeId = data.active;
+  }
+
+  _add(name, id = newId('v')) {
+    const variant = { id, name, scene: null, undoStack: [], redoStack: [], result: null };
+    this.list.push(variant);
+    return variant;
+  }
+
+  _stash(editor) {
+    const current = this.active || this.list[0];
+    current.scene = editor.getScene();
+    current.undoStack = [...editor.undoStack];
+    current.redoStack = [...editor.redoStack];
+  }
+}
+
+// Run the flow simulation on a plan away from the editor, at a quality
+// preset (grid.js), on `solver` (a FlowSolver) into a grid of its own.
+// Resolves to { editor, grid, heatmap, roomBounds, metrics }, or null if
+// the solve was cancelled.
+export async function simulateScene(scene, quality, solver, onProgress = null) {
+  const editor = new Editor();
+  editor.loadScene(scene);
+  const plan = editor.getSimulationState();
+  const layout = gridLayout(plan.roomBounds, quality);
+  const grid = new Grid(layout.width, layout.height);
+  const state = { ...plan, roomBounds: layout.bounds };
+  if (!await solver.solve(state, { grid, onProgress })) return null;
+  const heatmap = new Heatmap(grid);
+  heatmap.generate();
+  const bagua = new BaguaMap();
+  bagua.update(editor.walls, editor.doors);
+  const metrics = computeMetrics(grid, state.roomBounds, {
+    mask: bagua.mask,
+    zones: bagua.zones,
+    zoneAt: (x, y) => bagua.zoneAt(x, y),
+  });
+  return { editor, grid, heatmap, roomBounds: state.roomBounds, metrics };
+}